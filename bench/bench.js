@@ -0,0 +1,77 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { capabilities, getBackend, setBackend } from '../src/index.js';
+import { compareToBaseline, defaultCases, runSuite } from './harness.js';
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+// node bench/bench.js [options]
+//   --backend auto|js|wasm   compression backend (default auto)
+//   --json FILE              write the full report as JSON
+//   --baseline FILE          compare against an earlier --json report
+//   --threshold N            allowed median throughput drop, 0.1 = 10%
+//                            (default 0.1); exit code 1 beyond it
+//   --samples N, --sample-ms N
+//   --quick                  5 short samples and smaller inputs, for CI
+// ============================================================================
+
+const { values } = parseArgs({
+  options: {
+    backend: { type: 'string', default: 'auto' },
+    json: { type: 'string' },
+    baseline: { type: 'string' },
+    threshold: { type: 'string', default: '0.1' },
+    samples: { type: 'string' },
+    'sample-ms': { type: 'string' },
+    quick: { type: 'boolean', default: false },
+  },
+});
+
+setBackend(values.backend);
+
+const settings = values.quick ? { samples: 5, sampleMs: 20, warmupMs: 100 } : {};
+if (values.samples !== undefined) settings.samples = Number(values.samples);
+if (values['sample-ms'] !== undefined) settings.sampleMs = Number(values['sample-ms']);
+const cases = defaultCases(values.quick ? { sizes: [1024, 64 * 1024, 1024 * 1024], streamSize: 1024 * 1024 } : {});
+
+console.log('BLAKE3 ULTRA - Node.js Benchmark');
+console.log('='.repeat(78));
+const caps = capabilities();
+console.log(`Endianness: ${caps.littleEndian ? 'Little (zero-copy enabled)' : 'Big (fallback)'}`);
+console.log(`Backend: ${caps.backend}  WASM SIMD: ${caps.wasmSimd ? 'yes' : 'no'}  Node: ${process.version}`);
+console.log();
+console.log(`${'case'.padEnd(30)}${'MiB/s'.padStart(10)}${'median'.padStart(12)}${'p95'.padStart(12)}${'stddev'.padStart(12)}`);
+
+const formatNs = (ns) => (ns >= 1e6 ? `${(ns / 1e6).toFixed(2)}ms` : ns >= 1e3 ? `${(ns / 1e3).toFixed(2)}us` : `${ns.toFixed(0)}ns`);
+
+const report = runSuite(cases, {
+  ...settings,
+  environment: { runtime: `node ${process.version}`, platform: process.platform, arch: process.arch, backend: getBackend() },
+}, (r) => {
+  console.log(`${r.name.padEnd(30)}${r.mibPerSec.toFixed(1).padStart(10)}` +
+              `${formatNs(r.nsPerOp.median).padStart(12)}${formatNs(r.nsPerOp.p95).padStart(12)}` +
+              `${formatNs(r.nsPerOp.stddev).padStart(12)}`);
+});
+
+if (values.json !== undefined) {
+  writeFileSync(values.json, JSON.stringify(report, null, 2) + '\n');
+  console.log(`\nWrote ${values.json}`);
+}
+
+if (values.baseline !== undefined) {
+  const baseline = JSON.parse(readFileSync(values.baseline, 'utf8'));
+  const comparison = compareToBaseline(report, baseline, Number(values.threshold));
+  console.log(`\nAgainst ${values.baseline} (threshold ${(comparison.threshold * 100).toFixed(0)}%):`);
+  for (const c of comparison.comparisons) {
+    const change = `${c.change >= 0 ? '+' : ''}${(c.change * 100).toFixed(1)}%`;
+    console.log(`${c.name.padEnd(30)}${c.baseline.toFixed(1).padStart(10)} -> ${c.current.toFixed(1).padStart(8)}` +
+                `  ${change.padStart(7)}${c.regressed ? '  REGRESSION' : ''}`);
+  }
+  if (comparison.missing.length > 0) console.log(`Not in both reports: ${comparison.missing.join(', ')}`);
+  if (comparison.regressions.length > 0) {
+    console.log(`\n${comparison.regressions.length} case(s) regressed by more than the threshold`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,198 @@
+import { Hasher, hash, hashInto, hashMany } from '../src/index.js';
+
+// ============================================================================
+// BENCHMARK HARNESS
+// ============================================================================
+// Shared by bench/bench.js and the HTML page, so it only uses
+// performance.now(). Every case is timed as a series of samples. Each sample
+// repeats the operation until it has run for at least `sampleMs`, which keeps
+// timer resolution out of the numbers, and the spread across samples shows
+// how noisy the machine is. Throughput is computed from the median.
+// ============================================================================
+
+export const RESULT_FORMAT_VERSION = 1;
+
+export const DEFAULTS = {
+  samples: 15,
+  sampleMs: 50,
+  warmupMs: 300,
+};
+
+const MIB = 1024 * 1024;
+
+// Percentiles use linear interpolation between the closest ranks.
+export function summarize(values) {
+  if (values.length === 0) throw new RangeError('No samples to summarize');
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p) => {
+    const rank = (sorted.length - 1) * p;
+    const lo = Math.floor(rank);
+    const hi = Math.min(lo + 1, sorted.length - 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+  };
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+  return {
+    min: sorted[0],
+    median: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1],
+    mean,
+    variance,
+    stddev: Math.sqrt(variance),
+  };
+}
+
+// Calls fn() repeatedly and returns per-call times in nanoseconds, one value
+// per sample.
+export function measure(fn, options = {}) {
+  const { samples, sampleMs, warmupMs } = { ...DEFAULTS, ...options };
+
+  // Warm up the JIT and find how many calls fill one sample.
+  let calls = 1;
+  const warmupEnd = performance.now() + warmupMs;
+  let elapsed = 0;
+  do {
+    const start = performance.now();
+    for (let i = 0; i < calls; i++) fn();
+    elapsed = performance.now() - start;
+    if (elapsed < sampleMs) calls *= 2;
+  } while (performance.now() < warmupEnd || elapsed === 0);
+  calls = Math.max(1, Math.ceil(calls * sampleMs / Math.max(elapsed, 1e-3)));
+
+  const times = [];
+  for (let s = 0; s < samples; s++) {
+    const start = performance.now();
+    for (let i = 0; i < calls; i++) fn();
+    times.push((performance.now() - start) * 1e6 / calls);
+  }
+  return times;
+}
+
+function pattern(size) {
+  const data = new Uint8Array(size);
+  for (let i = 0; i < size; i++) data[i] = i & 0xff;
+  return data;
+}
+
+function formatSize(bytes) {
+  if (bytes >= MIB && bytes % MIB === 0) return `${bytes / MIB}MiB`;
+  if (bytes >= 1024 && bytes % 1024 === 0) return `${bytes / 1024}KiB`;
+  return `${bytes}B`;
+}
+
+// The standard cases: one-shot throughput, per-call latency of small inputs
+// (through hash() and the allocation-free hashInto()/hashMany()), and the
+// streaming Hasher at several update sizes against hash() on the same data.
+export function defaultCases(options = {}) {
+  const sizes = options.sizes || [1024, 64 * 1024, MIB, 16 * MIB];
+  const latencySizes = options.latencySizes || [1, 8, 32, 64, 65, 128, 256, 512, 1024];
+  const intoSizes = options.intoSizes || [64, 1024];
+  const streamSize = options.streamSize || 4 * MIB;
+  const updateSizes = options.updateSizes || [64, 1024, 64 * 1024];
+  const cases = [];
+
+  for (const size of sizes) {
+    const data = pattern(size);
+    cases.push({ name: `oneshot/${formatSize(size)}`, group: 'oneshot', bytes: size, fn: () => hash(data) });
+  }
+  for (const size of latencySizes) {
+    const data = pattern(size);
+    cases.push({ name: `latency/${formatSize(size)}`, group: 'latency', bytes: size, fn: () => hash(data) });
+  }
+  const out = new Uint8Array(32 * 1000);
+  for (const size of intoSizes) {
+    const data = pattern(size);
+    cases.push({ name: `into/${formatSize(size)}`, group: 'latency', bytes: size, fn: () => hashInto(data, out) });
+    const records = Array.from({ length: 1000 }, (_, i) => data.subarray(0, size - (i & 7)));
+    const bytes = records.reduce((sum, r) => sum + r.length, 0);
+    cases.push({ name: `many/1000x${formatSize(size)}`, group: 'latency', bytes, fn: () => hashMany(records, out) });
+  }
+
+  const streamData = pattern(streamSize);
+  const streamLabel = formatSize(streamSize);
+  cases.push({
+    name: `stream/${streamLabel}/oneshot`, group: 'stream', bytes: streamSize, fn: () => hash(streamData),
+  });
+  for (const updateSize of updateSizes) {
+    cases.push({
+      name: `stream/${streamLabel}/update-${formatSize(updateSize)}`,
+      group: 'stream',
+      bytes: streamSize,
+      fn: () => {
+        const hasher = new Hasher();
+        for (let i = 0; i < streamSize; i += updateSize) hasher.update(streamData.subarray(i, i + updateSize));
+        return hasher.finalize();
+      },
+    });
+  }
+  return cases;
+}
+
+export function runCase(benchCase, options) {
+  const nsPerOp = summarize(measure(benchCase.fn, options));
+  return {
+    name: benchCase.name,
+    group: benchCase.group,
+    bytes: benchCase.bytes,
+    nsPerOp,
+    mibPerSec: benchCase.bytes / MIB / (nsPerOp.median / 1e9),
+  };
+}
+
+// Runs every case and returns the JSON-ready report. `onResult` is called as
+// each case finishes, for progress output.
+export function runSuite(cases, options = {}, onResult = () => {}) {
+  const { environment = {}, ...settings } = options;
+  const results = [];
+  for (const benchCase of cases) {
+    const result = runCase(benchCase, settings);
+    results.push(result);
+    onResult(result);
+  }
+  return {
+    version: RESULT_FORMAT_VERSION,
+    date: new Date().toISOString(),
+    environment,
+    settings: { ...DEFAULTS, ...settings },
+    results,
+  };
+}
+
+// Cases present in both reports whose median throughput dropped by more than
+// `threshold` (0.1 = 10%). Cases missing from either side are listed but never
+// count as regressions.
+export function compareToBaseline(report, baseline, threshold) {
+  if (!(threshold >= 0 && threshold < 1)) {
+    throw new RangeError(`threshold must be in [0, 1), got ${threshold}`);
+  }
+  if (baseline.version !== RESULT_FORMAT_VERSION) {
+    throw new Error(`Baseline has format version ${baseline.version}, expected ${RESULT_FORMAT_VERSION}`);
+  }
+  const before = new Map(baseline.results.map((r) => [r.name, r]));
+  const comparisons = [];
+  const missing = [];
+  for (const result of report.results) {
+    const old = before.get(result.name);
+    if (old === undefined) {
+      missing.push(result.name);
+      continue;
+    }
+    before.delete(result.name);
+    const change = result.mibPerSec / old.mibPerSec - 1;
+    comparisons.push({
+      name: result.name,
+      baseline: old.mibPerSec,
+      current: result.mibPerSec,
+      change,
+      regressed: change < -threshold,
+    });
+  }
+  missing.push(...before.keys());
+  return {
+    threshold,
+    comparisons,
+    missing,
+    regressions: comparisons.filter((c) => c.regressed),
+  };
+}
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+import { createReadStream, readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { Hasher, KEY_LEN, OUT_LEN, toHex } from '../src/index.js';
+
+// ============================================================================
+// b3sum
+// ============================================================================
+// Command-line compatible with the reference b3sum for the options below, and
+// its output (including the escaping of `\` and newlines in file names) can be
+// read back by either tool's --check. Files are streamed through a Hasher.
+// ============================================================================
+
+const USAGE = `Usage: b3sum [OPTIONS] [FILE]...
+
+Print or check BLAKE3 checksums. With no FILE, or when FILE is -, read
+standard input.
+
+Options:
+  -l, --length <LEN>        Number of output bytes [default: ${OUT_LEN}]
+      --keyed               Keyed mode; the 32-byte key is read from stdin
+      --derive-key <CONTEXT>
+                            Key derivation mode with the given context string
+      --no-names            Omit file names from the output
+      --raw                 Write raw output bytes (one input only)
+  -c, --check               Verify the checksums listed in the FILEs
+      --quiet               In --check mode, do not print OK lines
+  -h, --help                Print this help
+`;
+
+const READ_CHUNK = 1024 * 1024;
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        length: { type: 'string', short: 'l' },
+        keyed: { type: 'boolean' },
+        'derive-key': { type: 'string' },
+        'no-names': { type: 'boolean' },
+        raw: { type: 'boolean' },
+        check: { type: 'boolean', short: 'c' },
+        quiet: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const { values, positionals } = parsed;
+  const opts = {
+    help: values.help === true,
+    length: OUT_LEN,
+    keyed: values.keyed === true,
+    context: values['derive-key'],
+    noNames: values['no-names'] === true || values.raw === true,
+    raw: values.raw === true,
+    check: values.check === true,
+    quiet: values.quiet === true,
+    files: positionals.length > 0 ? positionals : ['-'],
+  };
+
+  if (values.length !== undefined) {
+    if (!/^\d+$/.test(values.length)) {
+      throw new UsageError(`invalid --length: ${values.length}`);
+    }
+    opts.length = Number(values.length);
+  }
+  if (opts.keyed && opts.context !== undefined) {
+    throw new UsageError('--keyed and --derive-key cannot be used together');
+  }
+  if (opts.check) {
+    for (const name of ['length', 'keyed', 'derive-key', 'no-names', 'raw']) {
+      if (values[name] !== undefined) throw new UsageError(`--check cannot be used with --${name}`);
+    }
+  } else if (opts.quiet) {
+    throw new UsageError('--quiet can only be used with --check');
+  }
+  if (opts.raw && opts.files.length > 1) {
+    throw new UsageError('--raw allows only a single input');
+  }
+  if (opts.keyed && opts.files.includes('-')) {
+    throw new UsageError('--keyed reads the key from stdin, so stdin cannot also be hashed');
+  }
+  return opts;
+}
+
+async function readAll(stream) {
+  const parts = [];
+  for await (const part of stream) parts.push(part);
+  return Buffer.concat(parts);
+}
+
+async function readKey() {
+  const key = await readAll(process.stdin);
+  if (key.length !== KEY_LEN) {
+    throw new UsageError(`the key read from stdin must be exactly ${KEY_LEN} bytes, got ${key.length}`);
+  }
+  return new Uint8Array(key);
+}
+
+function newHasher(opts) {
+  if (opts.key !== undefined) return Hasher.newKeyed(opts.key);
+  if (opts.context !== undefined) return Hasher.newDeriveKey(opts.context);
+  return new Hasher();
+}
+
+async function hashPath(path, opts) {
+  const hasher = newHasher(opts);
+  const stream = path === '-' ? process.stdin : createReadStream(path, { highWaterMark: READ_CHUNK });
+  for await (const part of stream) hasher.update(part);
+  return hasher.finalize(opts.length);
+}
+
+// b3sum marks lines whose name needed escaping with a leading backslash.
+function formatLine(digest, path) {
+  if (!/[\\\n]/.test(path)) return `${toHex(digest)}  ${path}\n`;
+  return `\\${toHex(digest)}  ${path.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n`;
+}
+
+function parseCheckLine(line, where) {
+  let escaped = false;
+  if (line.startsWith('\\')) {
+    escaped = true;
+    line = line.slice(1);
+  }
+  const match = /^([0-9a-fA-F]{64})  (.+)$/.exec(line);
+  if (match === null) throw new Error(`${where}: invalid check line`);
+  let path = match[2];
+  if (escaped) {
+    path = path.replace(/\\(.?)/g, (_, c) => {
+      if (c === '\\') return '\\';
+      if (c === 'n') return '\n';
+      throw new Error(`${where}: invalid escape sequence in file name`);
+    });
+  }
+  return { expected: match[1].toLowerCase(), path };
+}
+
+function errorMessage(err) {
+  return err.code === 'ENOENT' ? 'No such file or directory' : err.message;
+}
+
+async function printSums(opts) {
+  let ok = true;
+  for (const path of opts.files) {
+    let digest;
+    try {
+      digest = await hashPath(path, opts);
+    } catch (err) {
+      process.stderr.write(`b3sum: ${path}: ${errorMessage(err)}\n`);
+      ok = false;
+      continue;
+    }
+    if (opts.raw) {
+      process.stdout.write(digest);
+    } else if (opts.noNames) {
+      process.stdout.write(`${toHex(digest)}\n`);
+    } else {
+      process.stdout.write(formatLine(digest, path));
+    }
+  }
+  return ok;
+}
+
+async function checkSums(opts) {
+  let failed = 0;
+  let unreadable = 0;
+  for (const checkFile of opts.files) {
+    const text = checkFile === '-'
+      ? (await readAll(process.stdin)).toString('utf8')
+      : readFileSync(checkFile, 'utf8');
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    for (let i = 0; i < lines.length; i++) {
+      const { expected, path } = parseCheckLine(lines[i].replace(/\r$/, ''), `${checkFile}:${i + 1}`);
+      let actual;
+      try {
+        actual = toHex(await hashPath(path, opts));
+      } catch (err) {
+        process.stdout.write(`${path}: FAILED (${errorMessage(err)})\n`);
+        unreadable++;
+        continue;
+      }
+      if (actual === expected) {
+        if (!opts.quiet) process.stdout.write(`${path}: OK\n`);
+      } else {
+        process.stdout.write(`${path}: FAILED\n`);
+        failed++;
+      }
+    }
+  }
+  if (failed > 0) {
+    process.stderr.write(`b3sum: WARNING: ${failed} computed checksum${failed === 1 ? '' : 's'} did NOT match\n`);
+  }
+  if (unreadable > 0) {
+    process.stderr.write(`b3sum: WARNING: ${unreadable} listed file${unreadable === 1 ? '' : 's'} could not be read\n`);
+  }
+  return failed === 0 && unreadable === 0;
+}
+
+async function main(argv) {
+  const opts = parseOptions(argv);
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (opts.keyed) opts.key = await readKey();
+  const ok = opts.check ? await checkSums(opts) : await printSums(opts);
+  return ok ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  process.stderr.write(`b3sum: ${err.message}\n`);
+  if (err instanceof UsageError) process.stderr.write('Try \'b3sum --help\' for more information.\n');
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+});
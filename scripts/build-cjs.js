@@ -0,0 +1,86 @@
+// ============================================================================
+// CommonJS build
+// ============================================================================
+// src/ is plain ES modules. This rewrites each file into dist/*.cjs so that
+// require('blake3-ultra') works without a bundler. It only understands the
+// import/export forms used in src/ (named imports, `export function|class|
+// const`, `export { ... } from` and `export * from`), and fails loudly on
+// anything else.
+// ============================================================================
+
+import { mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const srcDir = join(root, 'src');
+const outDir = join(root, 'dist');
+
+function toCjsSpecifier(specifier) {
+  return specifier.startsWith('.') ? specifier.replace(/\.js$/, '.cjs') : specifier;
+}
+
+function toDestructure(names) {
+  return names.split(',').map((name) => name.trim()).filter(Boolean)
+    .map((name) => name.replace(/\s+as\s+/, ': ')).join(', ');
+}
+
+function convert(source, file) {
+  const exported = [];
+  let out = source;
+
+  out = out.replace(/^import\s*\{([^}]*)\}\s*from\s*'([^']+)';/gm,
+    (_, names, spec) => `const { ${toDestructure(names)} } = require('${toCjsSpecifier(spec)}');`);
+
+  out = out.replace(/^import\s+(\w+)\s+from\s*'([^']+)';/gm,
+    (_, name, spec) => `const ${name} = require('${toCjsSpecifier(spec)}');`);
+
+  out = out.replace(/^export\s*\{([^}]*)\}\s*from\s*'([^']+)';/gm, (_, names, spec) => {
+    const lines = [`const __${exported.length} = require('${toCjsSpecifier(spec)}');`];
+    for (const name of names.split(',').map((n) => n.trim()).filter(Boolean)) {
+      const [local, alias = local] = name.split(/\s+as\s+/);
+      lines.push(`Object.defineProperty(exports, '${alias}', { enumerable: true, get: () => __${exported.length}.${local} });`);
+    }
+    exported.push(null);
+    return lines.join('\n');
+  });
+
+  out = out.replace(/^export\s*\*\s*from\s*'([^']+)';/gm, (_, spec) => {
+    const name = `__${exported.length}`;
+    exported.push(null);
+    return `const ${name} = require('${toCjsSpecifier(spec)}');\n`
+      + `for (const key of Object.keys(${name})) Object.defineProperty(exports, key, { enumerable: true, get: () => ${name}[key] });`;
+  });
+
+  out = out.replace(/^export\s+(async\s+function\*?|function\*?|class|const|let)\s+(\w+)/gm,
+    (_, kind, name) => {
+      exported.push(name);
+      return `${kind} ${name}`;
+    });
+
+  out = out.replace(/new URL\('(\.[^']+)\.js', import\.meta\.url\)/g, "new URL('$1.cjs', import.meta.url)");
+  out = out.replace(/\bimport\.meta\.url\b/g, "require('node:url').pathToFileURL(__filename).href");
+
+  const leftover = out.match(/^(import|export)\b.*$/m);
+  if (leftover) {
+    throw new Error(`${file}: unsupported module syntax: ${leftover[0]}`);
+  }
+
+  const exportLines = exported.filter(Boolean).map((name) => `exports.${name} = ${name};`);
+  return `'use strict';\n\n${out.trimEnd()}\n${exportLines.length ? '\n' + exportLines.join('\n') + '\n' : ''}`;
+}
+
+rmSync(outDir, { recursive: true, force: true });
+mkdirSync(outDir, { recursive: true });
+
+for (const file of readdirSync(srcDir)) {
+  if (file.endsWith('.d.ts')) {
+    // Declarations that import each other must resolve to the .d.cts copies.
+    const source = readFileSync(join(srcDir, file), 'utf8')
+      .replace(/(from\s*')(\.[^']+)'/g, (_, from, spec) => `${from}${toCjsSpecifier(spec)}'`);
+    writeFileSync(join(outDir, file.replace(/\.d\.ts$/, '.d.cts')), source);
+  } else if (file.endsWith('.js')) {
+    const source = readFileSync(join(srcDir, file), 'utf8');
+    writeFileSync(join(outDir, file.replace(/\.js$/, '.cjs')), convert(source, file));
+  }
+}
@@ -0,0 +1,32 @@
+// ============================================================================
+// WASM build
+// ============================================================================
+// Assembles src/simd.wat and embeds the binary as base64 in src/simd-wasm.js,
+// so the library never needs a toolchain or a network fetch at runtime. The
+// generated file is checked in; rerun this after editing the WAT.
+// ============================================================================
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import wabtInit from 'wabt';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const watPath = join(root, 'src', 'simd.wat');
+const outPath = join(root, 'src', 'simd-wasm.js');
+
+const wabt = await wabtInit();
+const module = wabt.parseWat('simd.wat', readFileSync(watPath, 'utf8'), { simd: true });
+module.validate();
+const { buffer } = module.toBinary({});
+module.destroy();
+
+const base64 = Buffer.from(buffer).toString('base64');
+const lines = base64.match(/.{1,76}/g).map((line) => `  '${line}'`).join(' +\n');
+
+writeFileSync(outPath, `// Generated by scripts/build-wasm.js from src/simd.wat - do not edit.
+export const SIMD_WASM_BASE64 =
+${lines};
+`);
+
+console.log(`Wrote ${outPath} (${buffer.length} bytes of wasm)`);
@@ -0,0 +1,88 @@
+import { CHUNK_LEN, IS_LITTLE_ENDIAN } from './compress.js';
+import { SIMD_WASM_BASE64 } from './simd-wasm.js';
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+// 'js'   - the unrolled compress() for everything
+// 'wasm' - full chunks go through the SIMD128 module 4 at a time (simd.wat);
+//          partial chunks, parents and the root stay in JS
+// 'auto' - 'wasm' when WebAssembly.validate() accepts the module (the engine
+//          supports SIMD128) on a little-endian host, 'js' otherwise
+// The module is under 4 KiB, so it is compiled synchronously on first use.
+// ============================================================================
+
+export const SIMD_GROUP_LEN = 4 * CHUNK_LEN;
+export const SIMD_MAX_GROUPS = 16;
+
+const BACKENDS = ['auto', 'js', 'wasm'];
+
+let requested = 'auto';
+let simd; // undefined until first probed, then null or the loaded module
+
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function loadSimd() {
+  if (!IS_LITTLE_ENDIAN || typeof WebAssembly !== 'object') return null;
+  const bytes = decodeBase64(SIMD_WASM_BASE64);
+  if (!WebAssembly.validate(bytes)) return null;
+
+  const { exports } = new WebAssembly.Instance(new WebAssembly.Module(bytes), {});
+  const memory = exports.memory.buffer;
+  const inputPtr = exports.input_ptr();
+  const keyPtr = exports.key_ptr();
+  const mem8 = new Uint8Array(memory);
+  const mem32 = new Uint32Array(memory);
+  // Group g's CV vectors: word i of chunk c at out[g * 32 + i * 4 + c]
+  const out = new Uint32Array(memory, exports.out_ptr(), SIMD_MAX_GROUPS * 32);
+
+  return {
+    hashChunks(input, offset, groups, chunkCounter, keyWords, flags) {
+      mem8.set(input.subarray(offset, offset + groups * SIMD_GROUP_LEN), inputPtr);
+      mem32.set(keyWords, keyPtr >> 2);
+      exports.hash_chunks(groups, chunkCounter, flags);
+      return out;
+    },
+  };
+}
+
+export function simdAvailable() {
+  if (simd === undefined) {
+    try {
+      simd = loadSimd();
+    } catch (e) {
+      simd = null;
+    }
+  }
+  return simd !== null;
+}
+
+// The SIMD module to use for the current call, or null for pure JS.
+export function activeSimd() {
+  if (requested === 'js') return null;
+  return simdAvailable() ? simd : null;
+}
+
+export function setBackend(name) {
+  if (!BACKENDS.includes(name)) {
+    throw new TypeError(`Unknown backend "${name}", expected one of ${BACKENDS.join(', ')}`);
+  }
+  if (name === 'wasm' && !simdAvailable()) {
+    throw new Error('WebAssembly SIMD backend is not available in this environment');
+  }
+  requested = name;
+}
+
+// The setting as passed to setBackend(), which may be 'auto'.
+export function requestedBackend() {
+  return requested;
+}
+
+export function getBackend() {
+  return activeSimd() !== null ? 'wasm' : 'js';
+}
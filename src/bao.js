@@ -0,0 +1,328 @@
+import { BLOCK_LEN, CHUNK_LEN, IV, OUT_LEN, PARENT, ROOT, compress, readWordsLE } from './compress.js';
+import { HashContext, hash } from './hash.js';
+import { toBytes } from './input.js';
+import { hashSubtreeInto } from './subtree.js';
+
+// ============================================================================
+// BAO VERIFIED STREAMING
+// ============================================================================
+// The Bao encoding stores the BLAKE3 tree next to the content: an 8-byte
+// little-endian content length, then the tree in pre-order, each parent node
+// as its two child CVs (64 bytes) followed by its left and right subtrees. In
+// the combined form the leaves are the 1 KiB chunks themselves; the outboard
+// form leaves them out and is used together with the original content.
+//
+// A slice is the part of a combined encoding needed for one byte range: the
+// header, every parent on the path to each chunk that overlaps the range, and
+// those chunks. Every node is checked against the CV its parent vouched for
+// before anything below it is trusted, so a decoder stops at the first bad
+// node and only ever returns content that hashes up to the root. A slice that
+// starts at or past the end of the content still carries the last chunk, which
+// is what authenticates the length in the header.
+// ============================================================================
+
+const HEADER_LEN = 8;
+const PARENT_LEN = 2 * OUT_LEN;
+
+// Content bytes in the left subtree of a node covering `length` (> CHUNK_LEN)
+// bytes: the largest power-of-two number of chunks that leaves the right
+// subtree non-empty.
+function leftLength(length) {
+  let left = CHUNK_LEN;
+  while (left * 2 < length) left *= 2;
+  return left;
+}
+
+function countChunks(contentLength) {
+  return Math.max(1, Math.ceil(contentLength / CHUNK_LEN));
+}
+
+function encodedLength(contentLength, outboard) {
+  return HEADER_LEN + (countChunks(contentLength) - 1) * PARENT_LEN + (outboard ? 0 : contentLength);
+}
+
+function writeHeader(out, contentLength) {
+  new DataView(out.buffer, out.byteOffset, HEADER_LEN).setBigUint64(0, BigInt(contentLength), true);
+}
+
+function readHeader(bytes) {
+  const length = new DataView(bytes.buffer, bytes.byteOffset, HEADER_LEN).getBigUint64(0, true);
+  if (length > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new RangeError(`Bao content length ${length} is too large`);
+  }
+  return Number(length);
+}
+
+function writeWords(words, out, offset) {
+  for (let i = 0; i < 8; i = i + 1 | 0) {
+    const w = words[i];
+    out[offset++] = w & 0xff;
+    out[offset++] = (w >>> 8) & 0xff;
+    out[offset++] = (w >>> 16) & 0xff;
+    out[offset++] = (w >>> 24) & 0xff;
+  }
+}
+
+function checkRange(start, length) {
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new RangeError(`Slice start must be a non-negative integer, got ${start}`);
+  }
+  if (length !== undefined && (!Number.isSafeInteger(length) || length < 0)) {
+    throw new RangeError(`Slice length must be a non-negative integer, got ${length}`);
+  }
+}
+
+// The byte range whose chunks a slice must contain: never empty, and clamped
+// so that a range past the end still selects the last chunk.
+function sliceBounds(contentLength, start, length) {
+  const first = Math.min(start, Math.max(contentLength - 1, 0));
+  const end = length === undefined ? contentLength : Math.min(start + length, contentLength);
+  return [first, Math.max(end, first + 1)];
+}
+
+function concat(parts) {
+  let total = 0;
+  for (const part of parts) total += part.length;
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+export function baoEncode(data, options = {}) {
+  const input = toBytes(data);
+  const outboard = options.outboard === true;
+  const contentLength = input.length;
+  const encoded = new Uint8Array(encodedLength(contentLength, outboard));
+  writeHeader(encoded, contentLength);
+
+  const cvs = new Uint32Array(16);
+  const ctx = new HashContext();
+  let pos = HEADER_LEN;
+
+  // Writes the encoding of the subtree at input[start..start+length) at `pos`
+  // and its CV to out[outOff..outOff+8]. The parent's 64 bytes are reserved first
+  // and filled in once both children are done.
+  const encodeNode = (start, length, out, outOff) => {
+    if (length <= CHUNK_LEN) {
+      const chunk = input.subarray(start, start + length);
+      hashSubtreeInto(ctx, chunk, start / CHUNK_LEN, IV, 0, out, outOff);
+      if (!outboard) {
+        encoded.set(chunk, pos);
+        pos += length;
+      }
+      return;
+    }
+    const parentPos = pos;
+    pos += PARENT_LEN;
+    const left = leftLength(length);
+    const words = new Uint32Array(16);
+    encodeNode(start, left, words, 0);
+    encodeNode(start + left, length - left, words, 8);
+    writeWords(words, encoded, parentPos);
+    writeWords(words.subarray(8), encoded, parentPos + OUT_LEN);
+    compress(IV, 0, words, 0, out, outOff, 0, BLOCK_LEN, PARENT, true);
+  };
+
+  if (contentLength <= CHUNK_LEN) {
+    if (!outboard) encoded.set(input, HEADER_LEN);
+    return { hash: hash(input), encoded };
+  }
+
+  const left = leftLength(contentLength);
+  pos += PARENT_LEN;
+  encodeNode(0, left, cvs, 0);
+  encodeNode(left, contentLength - left, cvs, 8);
+  writeWords(cvs, encoded, HEADER_LEN);
+  writeWords(cvs.subarray(8), encoded, HEADER_LEN + OUT_LEN);
+  compress(IV, 0, cvs, 0, cvs, 0, 0, BLOCK_LEN, PARENT | ROOT, true);
+  const root = new Uint8Array(OUT_LEN);
+  writeWords(cvs, root, 0);
+  return { hash: root, encoded };
+}
+
+// Copies the slice for [start, start + length) out of a combined encoding, or
+// out of an outboard encoding plus the original `content`. The result is the
+// same either way and is decoded with baoDecodeSlice().
+export function baoExtractSlice(encoded, start, length, content) {
+  checkRange(start, length);
+  if (encoded.length < HEADER_LEN) throw new Error('Bao encoding is truncated');
+  const contentLength = readHeader(encoded);
+  const outboard = content !== undefined;
+  if (outboard && content.length !== contentLength) {
+    throw new RangeError(`Content is ${content.length} bytes but the outboard encoding describes ${contentLength}`);
+  }
+  if (encoded.length < encodedLength(contentLength, outboard)) {
+    throw new Error('Bao encoding is truncated');
+  }
+
+  const [first, end] = sliceBounds(contentLength, start, length);
+  const parts = [encoded.subarray(0, HEADER_LEN)];
+
+  const walk = (nodeStart, nodeLength, pos) => {
+    if (nodeLength <= CHUNK_LEN) {
+      parts.push(outboard
+        ? content.subarray(nodeStart, nodeStart + nodeLength)
+        : encoded.subarray(pos, pos + nodeLength));
+      return;
+    }
+    parts.push(encoded.subarray(pos, pos + PARENT_LEN));
+    const left = leftLength(nodeLength);
+    if (first < nodeStart + left) {
+      walk(nodeStart, left, pos + PARENT_LEN);
+    }
+    if (end > nodeStart + left) {
+      const leftSize = encodedLength(left, outboard) - HEADER_LEN;
+      walk(nodeStart + left, nodeLength - left, pos + PARENT_LEN + leftSize);
+    }
+  };
+  walk(0, contentLength, HEADER_LEN);
+  return concat(parts);
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+// Incremental slice decoder: feed it the slice as it arrives and it returns
+// the newly verified content of [start, start + length) (to the end of the
+// content when `length` is omitted). Throws as soon as a node fails to verify;
+// the decoder is unusable after that.
+export class BaoDecoder {
+  constructor(rootHash, start = 0, length) {
+    if (!(rootHash instanceof Uint8Array) || rootHash.length !== OUT_LEN) {
+      throw new TypeError(`Root hash must be a ${OUT_LEN}-byte Uint8Array`);
+    }
+    checkRange(start, length);
+    this.rootWords = new Uint32Array(8);
+    readWordsLE(rootHash, 0, this.rootWords, 8);
+    this.start = start;
+    this.length = length;
+    this.contentLength = -1;
+    // Nodes still to be read, last one next: [nodeStart, nodeLength, expected CV]
+    this.pending = [];
+    this.buffer = new Uint8Array(CHUNK_LEN);
+    this.buffered = 0;
+    this.failed = false;
+    this.parentWords = new Uint32Array(16);
+    this.cvWords = new Uint32Array(8);
+    this.ctx = new HashContext();
+  }
+
+  // Bytes the next node takes, or 0 once the whole slice has been read.
+  _need() {
+    if (this.contentLength < 0) return HEADER_LEN;
+    if (this.pending.length === 0) return 0;
+    const nodeLength = this.pending[this.pending.length - 1][1];
+    return nodeLength > CHUNK_LEN ? PARENT_LEN : nodeLength;
+  }
+
+  update(bytes) {
+    if (this.failed) throw new Error('BaoDecoder has already failed verification');
+    const output = [];
+    let offset = 0;
+    try {
+      while (offset < bytes.length) {
+        const need = this._need();
+        if (need === 0) throw new Error('Bao slice has unexpected trailing bytes');
+        if (this.buffered === 0 && bytes.length - offset >= need) {
+          this._consume(bytes.subarray(offset, offset + need), output);
+          offset += need;
+        } else {
+          const take = Math.min(need - this.buffered, bytes.length - offset);
+          this.buffer.set(bytes.subarray(offset, offset + take), this.buffered);
+          this.buffered += take;
+          offset += take;
+          if (this.buffered === need) {
+            this.buffered = 0;
+            this._consume(this.buffer.subarray(0, need), output);
+          }
+        }
+      }
+    } catch (err) {
+      this.failed = true;
+      throw err;
+    }
+    return concat(output);
+  }
+
+  // Throws unless the whole slice has been read.
+  finalize() {
+    if (this.failed) throw new Error('BaoDecoder has already failed verification');
+    if (this.contentLength < 0 || this.pending.length > 0 || this.buffered > 0) {
+      throw new Error('Bao slice is truncated');
+    }
+  }
+
+  _consume(bytes, output) {
+    if (this.contentLength < 0) {
+      this.contentLength = readHeader(bytes);
+      this.pending.push([0, this.contentLength, this.rootWords]);
+      [this.first, this.end] = sliceBounds(this.contentLength, this.start, this.length);
+      // Empty content is a single zero-byte chunk, complete right away.
+      if (this.contentLength === 0) this._consume(bytes.subarray(0, 0), output);
+      return;
+    }
+
+    const [nodeStart, nodeLength, expected] = this.pending.pop();
+    const isRoot = expected === this.rootWords;
+
+    if (nodeLength > CHUNK_LEN) {
+      const words = this.parentWords;
+      readWordsLE(bytes, 0, words, 16);
+      compress(IV, 0, words, 0, this.cvWords, 0, 0, BLOCK_LEN, isRoot ? PARENT | ROOT : PARENT, true);
+      this._verify(expected, `parent node covering bytes ${nodeStart}..${nodeStart + nodeLength}`);
+
+      const left = leftLength(nodeLength);
+      // Right child first so the left one is popped (and read) first.
+      if (this.end > nodeStart + left) {
+        this.pending.push([nodeStart + left, nodeLength - left, words.slice(8, 16)]);
+      }
+      if (this.first < nodeStart + left) {
+        this.pending.push([nodeStart, left, words.slice(0, 8)]);
+      }
+      return;
+    }
+
+    if (isRoot) {
+      readWordsLE(hash(bytes), 0, this.cvWords, 8);
+    } else {
+      hashSubtreeInto(this.ctx, bytes, nodeStart / CHUNK_LEN, IV, 0, this.cvWords, 0);
+    }
+    this._verify(expected, `chunk ${nodeStart / CHUNK_LEN}`);
+
+    const outStart = Math.max(this.start, nodeStart) - nodeStart;
+    const outEnd = (this.length === undefined ? nodeLength
+      : Math.min(this.start + this.length, nodeStart + nodeLength) - nodeStart);
+    if (outEnd > outStart) output.push(bytes.slice(outStart, outEnd));
+  }
+
+  _verify(expected, what) {
+    const actual = this.cvWords;
+    for (let i = 0; i < 8; i++) {
+      if (actual[i] !== expected[i]) {
+        throw new Error(`Bao verification failed: ${what} does not match its hash`);
+      }
+    }
+  }
+}
+
+// One-shot form of BaoDecoder for a slice that is already in memory.
+export function baoDecodeSlice(slice, rootHash, start, length) {
+  const decoder = new BaoDecoder(rootHash, start, length);
+  const content = decoder.update(slice);
+  decoder.finalize();
+  return content;
+}
+
+// Verifies a complete combined encoding and returns the content.
+export function baoDecode(encoded, rootHash) {
+  return baoDecodeSlice(encoded, rootHash, 0);
+}
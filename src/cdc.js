@@ -0,0 +1,298 @@
+import { toHex } from './encoding.js';
+import { hash } from './hash.js';
+import { Hasher } from './hasher.js';
+import { toBytes } from './input.js';
+import { forEachChunk } from './streams.js';
+
+// ============================================================================
+// CONTENT-DEFINED CHUNKING
+// ============================================================================
+// FastCDC (Xia et al., USENIX ATC 2016): a gear rolling hash
+//   fp = (fp << 1) + GEAR[byte]
+// declares a cut wherever the masked fingerprint is zero. Cuts depend only on
+// the last 32 bytes seen, so an insertion or deletion moves the boundaries
+// near it and the rest of the file still splits into the same chunks, which is
+// what makes deduplication across versions work.
+//
+// Hashing starts at minSize (nothing before it can be a cut). Up to avgSize a
+// mask with two more bits than log2(avgSize) makes cuts rarer, after it a mask
+// with two fewer makes them likelier ("normalized chunking", level 2), which
+// keeps chunk sizes close to avgSize. maxSize forces a cut.
+//
+// The masks test the high bits of fp, which depend on the most bytes. The gear
+// table is the first 1 KiB of BLAKE3 output for a fixed string, so boundaries
+// are stable across versions of this library but differ from other FastCDC
+// implementations.
+// ============================================================================
+
+const GEAR = (() => {
+  const bytes = hash('blake3-ultra fastcdc gear table', { length: 1024 });
+  const view = new DataView(bytes.buffer);
+  const table = new Int32Array(256);
+  for (let i = 0; i < 256; i++) table[i] = view.getInt32(4 * i, true);
+  return table;
+})();
+
+export const CHUNKER_DEFAULTS = {
+  minSize: 2048,
+  avgSize: 8192,
+  maxSize: 65536,
+};
+
+const MIN_CHUNK_SIZE = 64;
+const MAX_CHUNK_SIZE = 2 ** 30;
+
+function chunkerSizes(options) {
+  const sizes = { ...CHUNKER_DEFAULTS };
+  for (const name of ['minSize', 'avgSize', 'maxSize']) {
+    const value = options[name];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < MIN_CHUNK_SIZE || value > MAX_CHUNK_SIZE) {
+      throw new RangeError(`${name} must be an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE}, got ${value}`);
+    }
+    sizes[name] = value;
+  }
+  const { minSize, avgSize, maxSize } = sizes;
+  if ((avgSize & (avgSize - 1)) !== 0) {
+    throw new RangeError(`avgSize must be a power of two, got ${avgSize}`);
+  }
+  if (!(minSize <= avgSize && avgSize <= maxSize)) {
+    throw new RangeError(`Chunk sizes must satisfy minSize <= avgSize <= maxSize, got ${minSize}/${avgSize}/${maxSize}`);
+  }
+  return sizes;
+}
+
+// The top `bits` bits of a 32-bit word (bits is 4..32 here).
+function highMask(bits) {
+  return bits >= 32 ? -1 : ~(-1 >>> bits);
+}
+
+// Splits a byte stream into chunks. Pieces of any size go in through push();
+// the chunks they complete come out as new Uint8Arrays, and finish() returns
+// the last one. The same bytes always give the same chunks, however they are
+// split into pieces.
+export class Chunker {
+  constructor(options = {}) {
+    const { minSize, avgSize, maxSize } = chunkerSizes(options);
+    this.minSize = minSize;
+    this.avgSize = avgSize;
+    this.maxSize = maxSize;
+    const bits = Math.log2(avgSize);
+    this._maskS = highMask(bits + 2);
+    this._maskL = highMask(bits - 2);
+    this._buffer = new Uint8Array(maxSize);
+    this._length = 0;
+    this._scan = minSize;
+    this._fp = 0;
+  }
+
+  push(data) {
+    const bytes = toBytes(data);
+    const chunks = [];
+    let pos = 0;
+    while (pos < bytes.length) {
+      const take = Math.min(bytes.length - pos, this.maxSize - this._length);
+      this._buffer.set(bytes.subarray(pos, pos + take), this._length);
+      this._length += take;
+      pos += take;
+      for (let cut = this._findCut(); cut > 0; cut = this._findCut()) {
+        chunks.push(this._take(cut));
+      }
+    }
+    return chunks;
+  }
+
+  // The final, possibly short, chunk (none for empty input). The chunker can
+  // be used again afterwards.
+  finish() {
+    return this._length > 0 ? [this._take(this._length)] : [];
+  }
+
+  // Length of the chunk at the front of the buffer, or 0 if the buffered bytes
+  // do not contain a cut yet. The scan position and fingerprint are kept, so
+  // no byte is looked at twice.
+  _findCut() {
+    const buffer = this._buffer;
+    const length = this._length;
+    const normal = Math.min(this.avgSize, length);
+    const maskS = this._maskS;
+    const maskL = this._maskL;
+    let i = this._scan;
+    let fp = this._fp;
+    for (; i < normal; i = i + 1 | 0) {
+      fp = (fp << 1) + GEAR[buffer[i]] | 0;
+      if ((fp & maskS) === 0) return i + 1;
+    }
+    for (; i < length; i = i + 1 | 0) {
+      fp = (fp << 1) + GEAR[buffer[i]] | 0;
+      if ((fp & maskL) === 0) return i + 1;
+    }
+    if (length === this.maxSize) return length;
+    this._scan = i;
+    this._fp = fp;
+    return 0;
+  }
+
+  _take(cut) {
+    const chunk = this._buffer.slice(0, cut);
+    this._buffer.copyWithin(0, cut, this._length);
+    this._length -= cut;
+    this._scan = this.minSize;
+    this._fp = 0;
+    return chunk;
+  }
+}
+
+// ============================================================================
+// MANIFESTS
+// ============================================================================
+// A manifest describes a file as its BLAKE3 hash, its size, the chunker
+// settings, and its chunks in order, each with offset, length and BLAKE3 hash.
+// Digests are lowercase hex, so a manifest round-trips through JSON:
+//   { "version": 1, "size": 20480, "hash": "…",
+//     "chunker": { "minSize": 2048, "avgSize": 8192, "maxSize": 65536 },
+//     "chunks": [{ "offset": 0, "length": 9011, "hash": "…" }, …] }
+//
+// Chunks live in a chunk store, keyed by their hex digest. A store is any
+// object with these async methods:
+//   has(digest)        -> boolean
+//   get(digest)        -> Uint8Array, or undefined if absent
+//   put(digest, bytes) -> stores bytes (a store may keep the first copy)
+// Stores are not trusted: every chunk read back is checked against its hash.
+// ============================================================================
+
+export const MANIFEST_VERSION = 1;
+
+// Byte inputs are one piece; anything else is streamed.
+function pieces(source) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) return source.stream();
+  if (typeof source === 'string' || ArrayBuffer.isView(source) || source instanceof ArrayBuffer
+    || (typeof SharedArrayBuffer !== 'undefined' && source instanceof SharedArrayBuffer)) {
+    return [source];
+  }
+  return source;
+}
+
+// Chunks `source` (bytes, a Blob, an async iterable or a ReadableStream) and
+// returns its manifest. With options.store, chunks the store does not have
+// yet are put into it.
+export async function buildManifest(source, options = {}) {
+  const chunker = new Chunker(options);
+  const store = options.store;
+  const fileHasher = new Hasher();
+  const chunks = [];
+  let size = 0;
+
+  const add = async (chunk) => {
+    const digest = toHex(hash(chunk));
+    chunks.push({ offset: size, length: chunk.length, hash: digest });
+    size += chunk.length;
+    if (store !== undefined && !(await store.has(digest))) await store.put(digest, chunk);
+  };
+
+  await forEachChunk(pieces(source), async (piece) => {
+    const bytes = toBytes(piece);
+    fileHasher.update(bytes);
+    for (const chunk of chunker.push(bytes)) await add(chunk);
+  });
+  for (const chunk of chunker.finish()) await add(chunk);
+
+  return {
+    version: MANIFEST_VERSION,
+    size,
+    hash: toHex(fileHasher.finalize()),
+    chunker: { minSize: chunker.minSize, avgSize: chunker.avgSize, maxSize: chunker.maxSize },
+    chunks,
+  };
+}
+
+const DIGEST_PATTERN = /^[0-9a-f]{64}$/;
+
+// Structural checks only; the content is verified while reassembling.
+function checkManifest(manifest) {
+  if (manifest === null || typeof manifest !== 'object') {
+    throw new TypeError('Manifest must be an object');
+  }
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Invalid manifest: unsupported version ${manifest.version}`);
+  }
+  if (!Number.isSafeInteger(manifest.size) || manifest.size < 0) {
+    throw new Error('Invalid manifest: size must be a non-negative integer');
+  }
+  if (typeof manifest.hash !== 'string' || !DIGEST_PATTERN.test(manifest.hash)) {
+    throw new Error('Invalid manifest: hash must be 64 lowercase hex digits');
+  }
+  if (!Array.isArray(manifest.chunks)) {
+    throw new Error('Invalid manifest: chunks must be an array');
+  }
+  let offset = 0;
+  manifest.chunks.forEach((entry, i) => {
+    if (entry === null || typeof entry !== 'object' || entry.offset !== offset
+      || !Number.isSafeInteger(entry.length) || entry.length <= 0
+      || typeof entry.hash !== 'string' || !DIGEST_PATTERN.test(entry.hash)) {
+      throw new Error(`Invalid manifest: chunk ${i} is malformed or out of place`);
+    }
+    offset += entry.length;
+  });
+  if (offset !== manifest.size) {
+    throw new Error(`Invalid manifest: chunks cover ${offset} bytes but size is ${manifest.size}`);
+  }
+}
+
+// Yields the file's chunks in order, each verified against its hash before it
+// is yielded. Throws on a missing or corrupt chunk and, after the last chunk,
+// if the whole-file hash does not match.
+export async function* reassembleChunks(manifest, store) {
+  checkManifest(manifest);
+  const fileHasher = new Hasher();
+  for (let i = 0; i < manifest.chunks.length; i++) {
+    const entry = manifest.chunks[i];
+    const chunk = await store.get(entry.hash);
+    if (chunk === undefined) {
+      throw new Error(`Chunk ${i} (${entry.hash}) is missing from the store`);
+    }
+    if (chunk.length !== entry.length || toHex(hash(chunk)) !== entry.hash) {
+      throw new Error(`Chunk ${i} (${entry.hash}) does not match its hash`);
+    }
+    fileHasher.update(chunk);
+    yield chunk;
+  }
+  if (toHex(fileHasher.finalize()) !== manifest.hash) {
+    throw new Error('Reassembled file does not match the manifest hash');
+  }
+}
+
+// The whole verified file in one buffer.
+export async function reassemble(manifest, store) {
+  checkManifest(manifest);
+  const out = new Uint8Array(manifest.size);
+  let offset = 0;
+  for await (const chunk of reassembleChunks(manifest, store)) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+// Keeps chunks in a Map. put() stores a copy.
+export class MemoryChunkStore {
+  constructor() {
+    this._chunks = new Map();
+  }
+
+  get size() {
+    return this._chunks.size;
+  }
+
+  async has(digest) {
+    return this._chunks.has(digest);
+  }
+
+  async get(digest) {
+    return this._chunks.get(digest);
+  }
+
+  async put(digest, bytes) {
+    if (!this._chunks.has(digest)) this._chunks.set(digest, toBytes(bytes).slice());
+  }
+}
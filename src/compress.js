@@ -1,5 +1,3 @@
-'use strict';
-
 // ============================================================================
 // BLAKE3 ULTRA - Maximum Performance Pure JavaScript Implementation
 // ============================================================================
@@ -11,34 +9,37 @@
 // 5. Offset-based compress
 // ============================================================================
 
-const BLOCK_LEN = 64;
-const CHUNK_LEN = 1024;
-const CHUNK_START = 1;
-const CHUNK_END = 2;
-const PARENT = 4;
-const ROOT = 8;
-
-const IV = new Uint32Array([
+export const OUT_LEN = 32;
+export const KEY_LEN = 32;
+export const BLOCK_LEN = 64;
+export const CHUNK_LEN = 1024;
+export const CHUNK_START = 1;
+export const CHUNK_END = 2;
+export const PARENT = 4;
+export const ROOT = 8;
+export const KEYED_HASH = 16;
+export const DERIVE_KEY_CONTEXT = 32;
+export const DERIVE_KEY_MATERIAL = 64;
+
+// CV stack entries for the deepest possible tree: 2^54 chunks is 2^64 bytes.
+export const MAX_DEPTH = 54;
+
+export const IV = new Uint32Array([
   0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
   0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
 ]);
 
-const IS_LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+const NATIVE_LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
 
-let cvStack = null;
-const blockWords = new Uint32Array(16);
-const outWords = new Uint32Array(16);
+// `let` so tests can force the big-endian (byte-by-byte) input path on a
+// little-endian host; see forceBigEndianPathForTesting().
+export let IS_LITTLE_ENDIAN = NATIVE_LITTLE_ENDIAN;
 
-function ensureCvStack(maxDepth) {
-  const depth = Math.max(maxDepth | 0, 10) | 0;
-  const length = (depth * 8) | 0;
-  if (cvStack === null || cvStack.length < length) {
-    cvStack = new Uint32Array(length);
-  }
-  return cvStack;
+export function forceBigEndianPathForTesting(enabled) {
+  IS_LITTLE_ENDIAN = enabled ? false : NATIVE_LITTLE_ENDIAN;
 }
 
-function readWordsLE(bytes, offset, words, count) {
+export function readWordsLE(bytes, offset, words, count) {
   for (let i = 0; i < count; i = i + 1 | 0, offset = offset + 4 | 0) {
     words[i] = (bytes[offset] |
                 (bytes[offset + 1 | 0] << 8) |
@@ -50,7 +51,7 @@ function readWordsLE(bytes, offset, words, count) {
   }
 }
 
-function readPartialBlock(bytes, offset, length, words) {
+export function readPartialBlock(bytes, offset, length, words) {
   words.fill(0);
   let i = 0;
   for (; i + 3 < length; i = i + 4 | 0) {
@@ -80,8 +81,11 @@ function readPartialBlock(bytes, offset, length, words) {
 // R4: [12,13,9,11,15,10,14,8,7,2,5,3,0,1,6,4]
 // R5: [9,14,11,5,8,12,15,1,13,3,0,10,2,6,4,7]
 // R6: [11,15,5,0,1,9,8,6,14,10,2,12,3,4,7,13]
+//
+// `counter` is the whole 64-bit chunk or output block counter as a
+// non-negative safe integer; its low and high words are state words 12 and 13.
 // ============================================================================
-function compress(cv, cvOff, msg, msgOff, out, outOff, counter, blockLen, flags, truncate) {
+export function compress(cv, cvOff, msg, msgOff, out, outOff, counter, blockLen, flags, truncate) {
   let s0 = cv[cvOff] | 0;
   let s1 = cv[cvOff + 1 | 0] | 0;
   let s2 = cv[cvOff + 2 | 0] | 0;
@@ -95,7 +99,7 @@ function compress(cv, cvOff, msg, msgOff, out, outOff, counter, blockLen, flags,
   let s10 = 0x3c6ef372 | 0;
   let s11 = 0xa54ff53a | 0;
   let s12 = counter | 0;
-  let s13 = 0;
+  let s13 = counter > 0xffffffff ? (counter / 4294967296) | 0 : 0;
   let s14 = blockLen | 0;
   let s15 = flags | 0;
 
@@ -427,218 +431,19 @@ function compress(cv, cvOff, msg, msgOff, out, outOff, counter, blockLen, flags,
   out[outOff + 7 | 0] = (s7 ^ s15) | 0;
 }
 
-function hash(input) {
-  const length = input.length | 0;
-
-  let inputWords = null;
-  const canZeroCopy = IS_LITTLE_ENDIAN &&
-                      ((input.byteOffset & 3) === 0) &&
-                      (length >= 64);
-
-  if (canZeroCopy) {
-    try {
-      inputWords = new Uint32Array(input.buffer, input.byteOffset, length >> 2);
-    } catch (e) {
-      inputWords = null;
-    }
-  }
-
-  const numChunks = Math.ceil(length / CHUNK_LEN) || 1;
-  const maxDepth = (Math.ceil(Math.log2(numChunks + 1)) + 2) | 0;
-  const stack = ensureCvStack(maxDepth);
-
-  let stackPos = 0;
-  let chunkCounter = 0;
-  let offset = 0;
-
-  const fullChunksEnd = length > 0 ? (Math.floor((length - 1) / CHUNK_LEN) * CHUNK_LEN) | 0 : 0;
-
-  while (offset < fullChunksEnd) {
-    stack.set(IV, stackPos);
-
-    for (let block = 0; block < 16; block = block + 1 | 0) {
-      const blockFlags = (block === 0 ? CHUNK_START : 0) |
-                         (block === 15 ? CHUNK_END : 0);
-
-      if (inputWords !== null) {
-        compress(stack, stackPos, inputWords, offset >> 2, stack, stackPos,
-                 chunkCounter, BLOCK_LEN, blockFlags, true);
-      } else {
-        readWordsLE(input, offset, blockWords, 16);
-        compress(stack, stackPos, blockWords, 0, stack, stackPos,
-                 chunkCounter, BLOCK_LEN, blockFlags, true);
-      }
-      offset = offset + BLOCK_LEN | 0;
-    }
-
-    chunkCounter = chunkCounter + 1 | 0;
-    stackPos = stackPos + 8 | 0;
-
-    let total = chunkCounter | 0;
-    while ((total & 1) === 0) {
-      stackPos = stackPos - 16 | 0;
-      compress(IV, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT, true);
-      stackPos = stackPos + 8 | 0;
-      total = total >> 1;
-    }
-  }
-
-  const remaining = length - offset | 0;
-
-  if (remaining > 0 || length === 0) {
-    stack.set(IV, stackPos);
-
-    const numFullBlocks = remaining > 0 ? ((remaining - 1) / BLOCK_LEN) | 0 : 0;
-
-    for (let block = 0; block < numFullBlocks; block = block + 1 | 0) {
-      const blockFlags = (block === 0 ? CHUNK_START : 0);
-
-      if (inputWords !== null && (offset + BLOCK_LEN) <= (length & ~3)) {
-        compress(stack, stackPos, inputWords, offset >> 2, stack, stackPos,
-                 chunkCounter, BLOCK_LEN, blockFlags, true);
-      } else {
-        readWordsLE(input, offset, blockWords, 16);
-        compress(stack, stackPos, blockWords, 0, stack, stackPos,
-                 chunkCounter, BLOCK_LEN, blockFlags, true);
-      }
-      offset = offset + BLOCK_LEN | 0;
-    }
-
-    const lastBlockLen = length - offset | 0;
-    const isFirstBlock = numFullBlocks === 0;
-    const lastFlags = (isFirstBlock ? CHUNK_START : 0) | CHUNK_END;
-
-    readPartialBlock(input, offset, lastBlockLen, blockWords);
-
-    if (stackPos === 0) {
-      compress(stack, 0, blockWords, 0, outWords, 0,
-               chunkCounter, lastBlockLen, lastFlags | ROOT, true);
-      return wordsToBytes(outWords);
-    }
-
-    compress(stack, stackPos, blockWords, 0, stack, stackPos,
-             chunkCounter, lastBlockLen, lastFlags, true);
-    stackPos = stackPos + 8 | 0;
-  }
-
-  while (stackPos > 16) {
-    stackPos = stackPos - 16 | 0;
-    compress(IV, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT, true);
-    stackPos = stackPos + 8 | 0;
-  }
-
-  stackPos = stackPos - 16 | 0;
-  compress(IV, 0, stack, stackPos, outWords, 0, 0, BLOCK_LEN, PARENT | ROOT, true);
-
-  return wordsToBytes(outWords);
+export function wordsToBytes(words) {
+  return wordsIntoBytes(words, new Uint8Array(32), 0);
 }
 
-function wordsToBytes(words) {
-  const result = new Uint8Array(32);
+// Writes words[0..8] little-endian to out[outOff..outOff+32].
+export function wordsIntoBytes(words, out, outOff) {
   for (let i = 0; i < 8; i = i + 1 | 0) {
     const w = words[i] | 0;
-    const j = i << 2;
-    result[j] = w & 0xff;
-    result[j + 1 | 0] = (w >>> 8) & 0xff;
-    result[j + 2 | 0] = (w >>> 16) & 0xff;
-    result[j + 3 | 0] = (w >>> 24) & 0xff;
-  }
-  return result;
-}
-
-function toHex(bytes) {
-  let s = '';
-  for (let i = 0; i < bytes.length; i++) {
-    s += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
-  }
-  return s;
-}
-
-// ============================================================================
-// TEST & BENCHMARK
-// ============================================================================
-
-console.log('BLAKE3 ULTRA - Fully Unrolled Node.js Benchmark');
-console.log('='.repeat(60));
-console.log(`Endianness: ${IS_LITTLE_ENDIAN ? 'Little (zero-copy enabled)' : 'Big (fallback)'}`);
-console.log();
-
-// Test vectors
-console.log('Test Vectors:');
-function genInput(n) {
-  const a = new Uint8Array(n);
-  for (let i = 0; i < n; i++) a[i] = i % 251;
-  return a;
-}
-
-const tests = [
-  [0, 'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262'],
-  [1, '2d3adedff11b61f14c886e35afa036736dcd87a74d27b5c1510225d0f592e213'],
-  [64, '4eed7141ea4a5cd4b788606bd23f46e212af9cacebacdc7d1f4c6dc7f2511b98'],
-  [1024, '42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7'],
-  [1025, 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444'],
-];
-
-let allPass = true;
-for (const [len, expected] of tests) {
-  const result = toHex(hash(genInput(len)));
-  const pass = result === expected;
-  if (!pass) allPass = false;
-  console.log(`  len=${String(len).padStart(5)}: ${pass ? 'PASS' : 'FAIL'}`);
-  if (!pass) {
-    console.log(`    Expected: ${expected}`);
-    console.log(`    Got:      ${result}`);
-  }
-}
-
-console.log();
-
-if (!allPass) {
-  console.log('TESTS FAILED - aborting benchmark');
-  process.exit(1);
-}
-
-// Benchmark
-console.log('Benchmark:');
-console.log('Warming up JIT (this takes longer for better optimization)...');
-
-const warmupData = new Uint8Array(1024 * 1024);
-for (let i = 0; i < warmupData.length; i++) warmupData[i] = i & 0xff;
-
-// Extended warmup for better JIT optimization
-for (let i = 0; i < 10000; i++) hash(warmupData);
-
-console.log('Running benchmarks...\n');
-
-const sizes = [
-  [1024, '1 KiB', 10000],
-  [64 * 1024, '64 KiB', 2000],
-  [1024 * 1024, '1 MiB', 200],
-  [10 * 1024 * 1024, '10 MiB', 20],
-  [100 * 1024 * 1024, '100 MiB', 5],
-];
-
-for (const [size, label, iterations] of sizes) {
-  const data = new Uint8Array(size);
-  for (let i = 0; i < size; i++) data[i] = i & 0xff;
-
-  // Warmup for this size
-  for (let i = 0; i < 5; i++) hash(data);
-
-  const start = process.hrtime.bigint();
-  for (let i = 0; i < iterations; i++) {
-    hash(data);
+    const j = outOff + (i << 2) | 0;
+    out[j] = w & 0xff;
+    out[j + 1 | 0] = (w >>> 8) & 0xff;
+    out[j + 2 | 0] = (w >>> 16) & 0xff;
+    out[j + 3 | 0] = (w >>> 24) & 0xff;
   }
-  const end = process.hrtime.bigint();
-
-  const totalBytes = size * iterations;
-  const totalNs = Number(end - start);
-  const totalSec = totalNs / 1e9;
-  const mibPerSec = totalBytes / totalSec / (1024 * 1024);
-  const gibPerSec = mibPerSec / 1024;
-
-  console.log(`${label.padStart(8)}: ${mibPerSec.toFixed(1).padStart(8)} MiB/s (${gibPerSec.toFixed(3)} GiB/s)`);
+  return out;
 }
-
-console.log();
-console.log('Note: Browser (Chrome) typically performs 20-50% better than Node.js');
@@ -0,0 +1,151 @@
+import { toHex } from './encoding.js';
+import { hash } from './hash.js';
+
+// ============================================================================
+// DIRECTORY MANIFESTS
+// ============================================================================
+// A directory tree is described by one entry per file or symlink:
+//   { path, type: 'file' | 'symlink', mode, size, hash }
+// `path` is relative with '/' separators, `hash` is the lowercase hex BLAKE3
+// hash of the file contents (of the link target for a symlink), and `size`
+// the number of bytes hashed. Like git, only the executable bit of a file's
+// mode is kept (0o755 or 0o644), so a different umask does not change the
+// result; symlinks always have mode 0o777. Empty directories are not
+// recorded.
+//
+// The canonical manifest is UTF-8 text, a header line and then one line per
+// entry in ascending order of the paths' UTF-8 bytes:
+//   blake3-ultra directory manifest v1
+//   f 0644 1204 <64 hex digits> src/index.js
+//   l 0777 9 <64 hex digits> latest
+// Paths come last, with backslash, newline and carriage return escaped as
+// `\\`, `\n` and `\r`, so every line splits unambiguously. The root of the
+// tree is the BLAKE3 hash of the manifest text, which `b3sum` reproduces.
+// ============================================================================
+
+export const DIRECTORY_MANIFEST_VERSION = 1;
+
+const HEADER = `blake3-ultra directory manifest v${DIRECTORY_MANIFEST_VERSION}`;
+const TYPE_CODES = { file: 'f', symlink: 'l' };
+const TYPE_NAMES = { f: 'file', l: 'symlink' };
+const LINE_PATTERN = /^([fl]) ([0-7]{4}) (0|[1-9]\d*) ([0-9a-f]{64}) (.+)$/;
+
+// Orders by code point, which is the order of the UTF-8 bytes (plain `<`
+// compares UTF-16 code units and puts U+E000..U+FFFF after astral characters).
+export function comparePaths(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const x = a.codePointAt(i);
+    const y = b.codePointAt(i);
+    if (x !== y) return x - y;
+    if (x > 0xffff) i++;
+  }
+  return a.length - b.length;
+}
+
+function escapePath(path) {
+  return path.replace(/[\\\n\r]/g, (c) => (c === '\\' ? '\\\\' : c === '\n' ? '\\n' : '\\r'));
+}
+
+function unescapePath(text, lineNumber) {
+  return text.replace(/\\(.?)/g, (_, c) => {
+    if (c === '\\') return '\\';
+    if (c === 'n') return '\n';
+    if (c === 'r') return '\r';
+    throw new SyntaxError(`Directory manifest line ${lineNumber}: invalid escape in path`);
+  });
+}
+
+function checkEntry(entry, i) {
+  if (entry === null || typeof entry !== 'object' || typeof entry.path !== 'string' || entry.path === ''
+    || !(entry.type in TYPE_CODES) || !Number.isInteger(entry.mode) || entry.mode < 0 || entry.mode > 0o7777
+    || !Number.isSafeInteger(entry.size) || entry.size < 0
+    || typeof entry.hash !== 'string' || !/^[0-9a-f]{64}$/.test(entry.hash)) {
+    throw new TypeError(`Directory entry ${i} is malformed`);
+  }
+}
+
+function sortEntries(entries) {
+  entries.forEach(checkEntry);
+  return [...entries].sort((a, b) => comparePaths(a.path, b.path));
+}
+
+// The canonical manifest text for `entries` (in any order).
+export function formatDirectoryManifest(entries) {
+  const sorted = sortEntries(entries);
+  let text = `${HEADER}\n`;
+  for (let i = 0; i < sorted.length; i++) {
+    const e = sorted[i];
+    if (i > 0 && sorted[i - 1].path === e.path) {
+      throw new Error(`Duplicate path in directory manifest: ${e.path}`);
+    }
+    text += `${TYPE_CODES[e.type]} ${e.mode.toString(8).padStart(4, '0')} ${e.size} ${e.hash} ${escapePath(e.path)}\n`;
+  }
+  return text;
+}
+
+// { version, root, entries } for a list of entries; `root` is the hex hash of
+// the canonical manifest.
+export function directoryManifest(entries) {
+  const sorted = sortEntries(entries);
+  return {
+    version: DIRECTORY_MANIFEST_VERSION,
+    root: toHex(hash(formatDirectoryManifest(sorted))),
+    entries: sorted,
+  };
+}
+
+// Inverse of formatDirectoryManifest(). Only canonical text is accepted (the
+// exact header, sorted unique paths, a final newline), so the root computed
+// here is the one the text was published under.
+export function parseDirectoryManifest(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError(`Expected a string, got ${typeof text}`);
+  }
+  const lines = text.split('\n');
+  if (lines.pop() !== '') throw new SyntaxError('Directory manifest must end with a newline');
+  if (lines[0] !== HEADER) throw new SyntaxError('Not a v1 directory manifest');
+  const entries = [];
+  for (let i = 1; i < lines.length; i++) {
+    const match = LINE_PATTERN.exec(lines[i]);
+    if (match === null) throw new SyntaxError(`Directory manifest line ${i + 1} is malformed`);
+    const path = unescapePath(match[5], i + 1);
+    if (entries.length > 0 && comparePaths(entries[entries.length - 1].path, path) >= 0) {
+      throw new SyntaxError(`Directory manifest line ${i + 1} is out of order`);
+    }
+    entries.push({
+      path,
+      type: TYPE_NAMES[match[1]],
+      mode: parseInt(match[2], 8),
+      size: Number(match[3]),
+      hash: match[4],
+    });
+  }
+  return { version: DIRECTORY_MANIFEST_VERSION, root: toHex(hash(text)), entries };
+}
+
+// Paths only in `after` (added), only in `before` (removed), and in both with
+// any field different (changed, with both entries). Each list is in path
+// order.
+export function diffDirectoryManifests(before, after) {
+  const old = new Map(before.entries.map((e) => [e.path, e]));
+  const added = [];
+  const changed = [];
+  for (const entry of after.entries) {
+    const previous = old.get(entry.path);
+    if (previous === undefined) {
+      added.push(entry.path);
+      continue;
+    }
+    old.delete(entry.path);
+    if (previous.type !== entry.type || previous.mode !== entry.mode
+      || previous.size !== entry.size || previous.hash !== entry.hash) {
+      changed.push({ path: entry.path, before: previous, after: entry });
+    }
+  }
+  return {
+    added: added.sort(comparePaths),
+    removed: [...old.keys()].sort(comparePaths),
+    changed: changed.sort((a, b) => comparePaths(a.path, b.path)),
+  };
+}
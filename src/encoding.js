@@ -0,0 +1,269 @@
+// ============================================================================
+// DIGEST ENCODINGS
+// ============================================================================
+// Text forms for digests and keys, and the parsers back. Encoders emit one
+// canonical form, with lowercase hex and base32. The parsers are strict about
+// everything but letter case: no whitespace, no stray padding, zero trailing
+// bits. Hex and base32 letters are accepted in either case, because other
+// tools print upper-case digests and base32 names pass through systems that
+// fold case; re-encode a parsed value before comparing encoded names as
+// strings. Malformed input throws a SyntaxError.
+// ============================================================================
+
+const HEX = [];
+for (let i = 0; i < 256; i++) HEX.push((i < 16 ? '0' : '') + i.toString(16));
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Multicodec table entries (https://github.com/multiformats/multicodec)
+export const BLAKE3_MULTICODEC = 0x1e;
+const CID_VERSION = 1;
+const RAW_CODEC = 0x55;
+
+function checkBytes(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError('Expected a Uint8Array');
+  }
+}
+
+function checkString(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError(`Expected a string, got ${typeof text}`);
+  }
+}
+
+function reverseTable(alphabet, caseInsensitive) {
+  const table = new Int8Array(128).fill(-1);
+  for (let i = 0; i < alphabet.length; i++) {
+    table[alphabet.charCodeAt(i)] = i;
+    if (caseInsensitive) table[alphabet.toUpperCase().charCodeAt(i)] = i;
+  }
+  return table;
+}
+
+const BASE64_VALUES = reverseTable(BASE64, false);
+const BASE64URL_VALUES = reverseTable(BASE64URL, false);
+const BASE32_VALUES = reverseTable(BASE32, true);
+
+// ============================================================================
+// HEX
+// ============================================================================
+
+export function toHex(bytes) {
+  checkBytes(bytes);
+  let s = '';
+  for (let i = 0; i < bytes.length; i++) s += HEX[bytes[i]];
+  return s;
+}
+
+export function fromHex(text) {
+  checkString(text);
+  if (text.length % 2 !== 0) {
+    throw new SyntaxError('Hex string must have an even number of digits');
+  }
+  const out = new Uint8Array(text.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    const hi = hexValue(text.charCodeAt(2 * i));
+    const lo = hexValue(text.charCodeAt(2 * i + 1));
+    if ((hi | lo) < 0) throw new SyntaxError(`Invalid hex digit near offset ${2 * i}`);
+    out[i] = (hi << 4) | lo;
+  }
+  return out;
+}
+
+function hexValue(c) {
+  if (c >= 48 && c <= 57) return c - 48; // 0-9
+  if (c >= 97 && c <= 102) return c - 87; // a-f
+  if (c >= 65 && c <= 70) return c - 55; // A-F
+  return -1;
+}
+
+// ============================================================================
+// BASE64 / BASE32 (RFC 4648)
+// ============================================================================
+// Both are bit packers over an alphabet of 2^bits symbols. base64 is padded
+// with '=', base64url and base32 (lowercase, as used in CIDs) are not.
+// ============================================================================
+
+function encodeBits(bytes, alphabet, bits, padTo) {
+  checkBytes(bytes);
+  const mask = (1 << bits) - 1;
+  let out = '';
+  let buffer = 0;
+  let count = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    buffer = (buffer << 8) | bytes[i];
+    count += 8;
+    while (count >= bits) {
+      count -= bits;
+      out += alphabet[(buffer >>> count) & mask];
+    }
+    buffer &= (1 << count) - 1;
+  }
+  if (count > 0) out += alphabet[(buffer << (bits - count)) & mask];
+  while (padTo > 0 && out.length % padTo !== 0) out += '=';
+  return out;
+}
+
+function decodeBits(text, values, bits, padTo, name) {
+  checkString(text);
+  let end = text.length;
+  if (padTo > 0) {
+    if (end % padTo !== 0) throw new SyntaxError(`${name} string has an invalid length`);
+    while (end > 0 && text.charCodeAt(end - 1) === 61 /* = */) end--;
+    if (text.length - end >= padTo) throw new SyntaxError(`${name} string has too much padding`);
+  }
+
+  const outLength = Math.floor(end * bits / 8);
+  // A final symbol that contributes no whole byte is never produced.
+  if (Math.ceil(outLength * 8 / bits) !== end) {
+    throw new SyntaxError(`${name} string has an invalid length`);
+  }
+  const out = new Uint8Array(outLength);
+  let buffer = 0;
+  let count = 0;
+  let pos = 0;
+  for (let i = 0; i < end; i++) {
+    const c = text.charCodeAt(i);
+    const v = c < 128 ? values[c] : -1;
+    if (v < 0) throw new SyntaxError(`Invalid ${name} character at offset ${i}`);
+    buffer = (buffer << bits) | v;
+    count += bits;
+    if (count >= 8) {
+      count -= 8;
+      out[pos++] = buffer >>> count;
+      buffer &= (1 << count) - 1;
+    }
+  }
+  if (buffer !== 0) throw new SyntaxError(`${name} string has non-zero trailing bits`);
+  return out;
+}
+
+export function toBase64(bytes) {
+  return encodeBits(bytes, BASE64, 6, 4);
+}
+
+export function fromBase64(text) {
+  return decodeBits(text, BASE64_VALUES, 6, 4, 'Base64');
+}
+
+export function toBase64Url(bytes) {
+  return encodeBits(bytes, BASE64URL, 6, 0);
+}
+
+export function fromBase64Url(text) {
+  return decodeBits(text, BASE64URL_VALUES, 6, 0, 'Base64url');
+}
+
+export function toBase32(bytes) {
+  return encodeBits(bytes, BASE32, 5, 0);
+}
+
+// Accepts upper case too (see the top of the file).
+export function fromBase32(text) {
+  return decodeBits(text, BASE32_VALUES, 5, 0, 'Base32');
+}
+
+// ============================================================================
+// MULTIHASH / CID
+// ============================================================================
+// multihash: varint(0x1e blake3) varint(digest length) digest
+// CIDv1:     "b" + base32(varint(1) varint(content codec) multihash)
+// ============================================================================
+
+function writeVarint(value, out) {
+  while (value >= 0x80) {
+    out.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+}
+
+// [value, next offset]; at most 4 bytes, far beyond any codec or digest size
+// used here.
+function readVarint(bytes, offset, what) {
+  let value = 0;
+  for (let shift = 0; shift < 28; shift += 7) {
+    if (offset >= bytes.length) throw new SyntaxError(`Truncated ${what}`);
+    const b = bytes[offset++];
+    value += (b & 0x7f) * 2 ** shift;
+    if (b < 0x80) {
+      if (b === 0 && shift > 0) throw new SyntaxError(`Non-minimal varint in ${what}`);
+      return [value, offset];
+    }
+  }
+  throw new SyntaxError(`Varint too long in ${what}`);
+}
+
+export function toMultihash(digest) {
+  checkBytes(digest);
+  const prefix = [];
+  writeVarint(BLAKE3_MULTICODEC, prefix);
+  writeVarint(digest.length, prefix);
+  const out = new Uint8Array(prefix.length + digest.length);
+  out.set(prefix, 0);
+  out.set(digest, prefix.length);
+  return out;
+}
+
+// The digest inside a BLAKE3 multihash.
+export function fromMultihash(multihash) {
+  checkBytes(multihash);
+  const [code, afterCode] = readVarint(multihash, 0, 'multihash');
+  if (code !== BLAKE3_MULTICODEC) {
+    throw new SyntaxError(`Not a BLAKE3 multihash (code 0x${code.toString(16)})`);
+  }
+  const [length, start] = readVarint(multihash, afterCode, 'multihash');
+  if (multihash.length - start !== length) {
+    throw new SyntaxError(`Multihash declares a ${length}-byte digest but holds ${multihash.length - start}`);
+  }
+  return multihash.slice(start);
+}
+
+// `codec` is the multicodec of the content that was hashed; raw bytes by
+// default.
+export function toCid(digest, options = {}) {
+  const codec = options.codec === undefined ? RAW_CODEC : options.codec;
+  if (!Number.isInteger(codec) || codec < 0 || codec >= 2 ** 28) {
+    throw new RangeError(`codec must be a multicodec code, got ${codec}`);
+  }
+  const header = [];
+  writeVarint(CID_VERSION, header);
+  writeVarint(codec, header);
+  const multihash = toMultihash(digest);
+  const bytes = new Uint8Array(header.length + multihash.length);
+  bytes.set(header, 0);
+  bytes.set(multihash, header.length);
+  return 'b' + toBase32(bytes);
+}
+
+// Inverse of toCid(): base32 CIDv1 strings with a BLAKE3 multihash only.
+export function parseCid(text) {
+  checkString(text);
+  if (text[0] !== 'b') {
+    throw new SyntaxError('Only base32 ("b"-prefixed) CIDs are supported');
+  }
+  const bytes = fromBase32(text.slice(1));
+  const [version, afterVersion] = readVarint(bytes, 0, 'CID');
+  if (version !== CID_VERSION) throw new SyntaxError(`Unsupported CID version ${version}`);
+  const [codec, afterCodec] = readVarint(bytes, afterVersion, 'CID');
+  return { version, codec, digest: fromMultihash(bytes.subarray(afterCodec)) };
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+// Compares every byte regardless of where the first difference is, so the
+// time taken says nothing about how much of a MAC an attacker guessed right.
+// Lengths are not secret and are compared first.
+export function equals(a, b) {
+  checkBytes(a);
+  checkBytes(b);
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
@@ -0,0 +1,2 @@
+/** The main API; importing it throws if the startup self-test fails. */
+export * from './index.js';
@@ -0,0 +1,20 @@
+import { assertSelfTest } from './selftest.js';
+
+// ============================================================================
+// FAIL-CLOSED ENTRY POINT
+// ============================================================================
+// 'blake3-ultra/fail-closed' is the main API behind a startup check: the
+// self-test runs when this module is first imported (or required), and if any
+// known answer comes out wrong the import throws, so code that takes its hash
+// functions from here never gets the chance to use a miscompiled or tampered
+// build. Applications that opt in should import only from this entry point.
+//
+// Everything below the re-export is a side effect, which a bundler would drop
+// if it resolved imports straight through to index.js. package.json names this
+// file and its CommonJS build in "sideEffects" (the rest of the package is
+// pure) so that the call survives tree shaking.
+// ============================================================================
+
+export * from './index.js';
+
+assertSelfTest();
@@ -0,0 +1,321 @@
+import {
+  BLOCK_LEN, CHUNK_END, CHUNK_LEN, CHUNK_START, DERIVE_KEY_CONTEXT, DERIVE_KEY_MATERIAL,
+  IS_LITTLE_ENDIAN, IV, KEYED_HASH, KEY_LEN, MAX_DEPTH, OUT_LEN, PARENT, ROOT,
+  compress, readPartialBlock, readWordsLE, wordsIntoBytes,
+} from './compress.js';
+import { OutputReader, checkOutputLength, getOutputLength } from './output.js';
+import { SIMD_GROUP_LEN, SIMD_MAX_GROUPS, activeSimd } from './backend.js';
+import { toBytes } from './input.js';
+
+const textEncoder = new TextEncoder();
+
+// ============================================================================
+// ONE-SHOT HASHING
+// ============================================================================
+// The scratch buffers of a one-shot hash (CV stack, block words and the
+// single-chunk copy) belong to a HashContext; subtree.js works in one as well.
+// A call runs to completion without yielding, so one context serves any number
+// of calls in sequence; hash()/keyedHash()/deriveKey() share a module-level
+// default one. Code that needs its own state, such as a pool handing one
+// context to each job, creates more. The CV stack is sized for the deepest
+// possible tree up front, so it is never reallocated.
+// ============================================================================
+
+export class HashContext {
+  constructor() {
+    this.cvStack = new Uint32Array(MAX_DEPTH * 8);
+    this.blockWords = new Uint32Array(16);
+    this.outWords = new Uint32Array(16);
+    this.chunkCv = new Uint32Array(8);
+    this.chunkWords = new Uint32Array(CHUNK_LEN >> 2);
+    this.chunkBytes = new Uint8Array(this.chunkWords.buffer);
+  }
+
+  hash(input, options) {
+    return hashInternal(this, toBytes(input), IV, 0, getOutputLength(options));
+  }
+
+  keyedHash(key, input, options) {
+    return hashInternal(this, toBytes(input), keyToWords(key), KEYED_HASH, getOutputLength(options));
+  }
+
+  // The context string is hashed on its own first; its 32-byte hash becomes
+  // the key for hashing the key material.
+  deriveKey(context, keyMaterial, length) {
+    const outLength = length === undefined ? OUT_LEN : checkOutputLength(length);
+    return hashInternal(this, toBytes(keyMaterial), contextKeyWords(context), DERIVE_KEY_MATERIAL, outLength);
+  }
+
+  // Writes the 32-byte hash of `input` to out[outOffset..outOffset+32] and
+  // returns `out`.
+  hashInto(input, out, outOffset = 0) {
+    const bytes = toBytes(input);
+    checkOutput(out, outOffset, OUT_LEN);
+    return hashInternal(this, bytes, IV, 0, OUT_LEN, out, outOffset);
+  }
+
+  // Hashes inputs[i] into outBuffer[32 * i..32 * i + 32] and returns
+  // outBuffer.
+  hashMany(inputs, outBuffer) {
+    if (!Array.isArray(inputs)) {
+      throw new TypeError('inputs must be an array');
+    }
+    const count = inputs.length;
+    checkOutput(outBuffer, 0, count * OUT_LEN);
+    for (let i = 0; i < count; i = i + 1 | 0) {
+      hashInternal(this, toBytes(inputs[i]), IV, 0, OUT_LEN, outBuffer, i * OUT_LEN);
+    }
+    return outBuffer;
+  }
+}
+
+const defaultContext = new HashContext();
+
+export function hash(input, options) {
+  return defaultContext.hash(input, options);
+}
+
+export function keyedHash(key, input, options) {
+  return defaultContext.keyedHash(key, input, options);
+}
+
+export function deriveKey(context, keyMaterial, length) {
+  return defaultContext.deriveKey(context, keyMaterial, length);
+}
+
+export function hashInto(input, out, outOffset) {
+  return defaultContext.hashInto(input, out, outOffset);
+}
+
+export function hashMany(inputs, outBuffer) {
+  return defaultContext.hashMany(inputs, outBuffer);
+}
+
+function checkOutput(out, outOffset, length) {
+  if (!(out instanceof Uint8Array)) {
+    throw new TypeError('Output buffer must be a Uint8Array');
+  }
+  if (!Number.isInteger(outOffset) || outOffset < 0 || outOffset + length > out.length) {
+    throw new RangeError(`Output buffer of ${out.length} bytes has no room for ${length} bytes at offset ${outOffset}`);
+  }
+}
+
+// keyWords seeds every chunk and parent compression; flags are OR'd into all
+// of them (KEYED_HASH for MACs, 0 for the plain hash). A 32-byte result goes
+// to out[outOff..] when `out` is given, otherwise to a new array.
+export function hashInternal(ctx, input, keyWords, flags, outLength, out, outOff) {
+  const length = input.length | 0;
+
+  if (length <= CHUNK_LEN && outLength === OUT_LEN) {
+    return hashChunkInto(ctx, input, length, keyWords, flags,
+                         out === undefined ? new Uint8Array(OUT_LEN) : out, outOff | 0);
+  }
+
+  // The word view is the one allocation hashInto() makes, and only for input
+  // longer than a chunk; reading those words byte by byte instead costs about
+  // a third of the throughput.
+  let inputWords = null;
+  const canZeroCopy = IS_LITTLE_ENDIAN &&
+                      ((input.byteOffset & 3) === 0) &&
+                      (length >= 64);
+
+  if (canZeroCopy) {
+    try {
+      inputWords = new Uint32Array(input.buffer, input.byteOffset, length >> 2);
+    } catch (e) {
+      inputWords = null;
+    }
+  }
+
+  const stack = ctx.cvStack;
+  const blockWords = ctx.blockWords;
+  const outWords = ctx.outWords;
+
+  let stackPos = 0;
+  let chunkCounter = 0;
+  let offset = 0;
+
+  const fullChunksEnd = length > 0 ? (Math.floor((length - 1) / CHUNK_LEN) * CHUNK_LEN) | 0 : 0;
+  const simd = fullChunksEnd >= SIMD_GROUP_LEN ? activeSimd() : null;
+
+  // Hashing several chunks side by side is the WASM backend's job. In JS,
+  // interleaving chunk states did not beat one compress() per block: two
+  // lanes in locals ran at the same speed, four lanes in locals were too
+  // large for V8 to optimize, and four lanes in a typed array ran at 40%.
+  while (offset < fullChunksEnd) {
+    // WASM backend: up to 16 groups of 4 chunks per call, CVs pushed in order
+    if (simd !== null && fullChunksEnd - offset >= SIMD_GROUP_LEN) {
+      const groups = Math.min(SIMD_MAX_GROUPS, ((fullChunksEnd - offset) / SIMD_GROUP_LEN) | 0);
+      const cvs = simd.hashChunks(input, offset, groups, chunkCounter, keyWords, flags);
+
+      for (let chunk = 0; chunk < groups * 4; chunk = chunk + 1 | 0) {
+        const base = ((chunk >> 2) << 5) + (chunk & 3) | 0;
+        for (let i = 0; i < 8; i = i + 1 | 0) {
+          stack[stackPos + i | 0] = cvs[base + (i << 2) | 0];
+        }
+
+        chunkCounter = chunkCounter + 1 | 0;
+        stackPos = mergeCompleted(stack, stackPos + 8 | 0, chunkCounter, keyWords, flags);
+      }
+
+      offset = offset + groups * SIMD_GROUP_LEN | 0;
+      continue;
+    }
+
+    stack.set(keyWords, stackPos);
+
+    for (let block = 0; block < 16; block = block + 1 | 0) {
+      const blockFlags = (block === 0 ? CHUNK_START : 0) |
+                         (block === 15 ? CHUNK_END : 0) | flags;
+
+      if (inputWords !== null) {
+        compress(stack, stackPos, inputWords, offset >> 2, stack, stackPos,
+                 chunkCounter, BLOCK_LEN, blockFlags, true);
+      } else {
+        readWordsLE(input, offset, blockWords, 16);
+        compress(stack, stackPos, blockWords, 0, stack, stackPos,
+                 chunkCounter, BLOCK_LEN, blockFlags, true);
+      }
+      offset = offset + BLOCK_LEN | 0;
+    }
+
+    chunkCounter = chunkCounter + 1 | 0;
+    stackPos = mergeCompleted(stack, stackPos + 8 | 0, chunkCounter, keyWords, flags);
+  }
+
+  const remaining = length - offset | 0;
+
+  if (remaining > 0 || length === 0) {
+    stack.set(keyWords, stackPos);
+
+    const numFullBlocks = remaining > 0 ? ((remaining - 1) / BLOCK_LEN) | 0 : 0;
+
+    for (let block = 0; block < numFullBlocks; block = block + 1 | 0) {
+      const blockFlags = (block === 0 ? CHUNK_START : 0) | flags;
+
+      if (inputWords !== null && (offset + BLOCK_LEN) <= (length & ~3)) {
+        compress(stack, stackPos, inputWords, offset >> 2, stack, stackPos,
+                 chunkCounter, BLOCK_LEN, blockFlags, true);
+      } else {
+        readWordsLE(input, offset, blockWords, 16);
+        compress(stack, stackPos, blockWords, 0, stack, stackPos,
+                 chunkCounter, BLOCK_LEN, blockFlags, true);
+      }
+      offset = offset + BLOCK_LEN | 0;
+    }
+
+    const lastBlockLen = length - offset | 0;
+    const isFirstBlock = numFullBlocks === 0;
+    const lastFlags = (isFirstBlock ? CHUNK_START : 0) | CHUNK_END | flags;
+
+    readPartialBlock(input, offset, lastBlockLen, blockWords);
+
+    if (stackPos === 0) {
+      if (outLength !== OUT_LEN) {
+        return new OutputReader(stack, 0, blockWords, 0, lastBlockLen, lastFlags).read(outLength);
+      }
+      compress(stack, 0, blockWords, 0, outWords, 0,
+               chunkCounter, lastBlockLen, lastFlags | ROOT, true);
+      return wordsIntoBytes(outWords, out === undefined ? new Uint8Array(OUT_LEN) : out, outOff | 0);
+    }
+
+    compress(stack, stackPos, blockWords, 0, stack, stackPos,
+             chunkCounter, lastBlockLen, lastFlags, true);
+    stackPos = stackPos + 8 | 0;
+  }
+
+  while (stackPos > 16) {
+    stackPos = stackPos - 16 | 0;
+    compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+    stackPos = stackPos + 8 | 0;
+  }
+
+  stackPos = stackPos - 16 | 0;
+  if (outLength !== OUT_LEN) {
+    return new OutputReader(keyWords, 0, stack, stackPos, BLOCK_LEN, PARENT | flags).read(outLength);
+  }
+  compress(keyWords, 0, stack, stackPos, outWords, 0, 0, BLOCK_LEN, PARENT | ROOT | flags, true);
+
+  return wordsIntoBytes(outWords, out === undefined ? new Uint8Array(OUT_LEN) : out, outOff | 0);
+}
+
+// One chunk or less: the last block is the root, so there is no stack and no
+// zero-copy view to allocate. On little-endian hosts one copy into chunkBytes
+// both aligns the input and zero-pads its last block; otherwise each block is
+// read through blockWords. Up to 64 bytes is a single compression.
+function hashChunkInto(ctx, input, length, keyWords, flags, out, outOff) {
+  const { blockWords, outWords, chunkCv, chunkWords, chunkBytes } = ctx;
+  const copied = IS_LITTLE_ENDIAN;
+  if (copied) {
+    chunkBytes.set(input);
+    chunkBytes.fill(0, length, (length + 63 & ~63) || BLOCK_LEN);
+  }
+
+  if (length <= BLOCK_LEN) {
+    if (!copied) readPartialBlock(input, 0, length, blockWords);
+    compress(keyWords, 0, copied ? chunkWords : blockWords, 0, outWords, 0,
+             0, length, CHUNK_START | CHUNK_END | ROOT | flags, true);
+    return wordsIntoBytes(outWords, out, outOff);
+  }
+
+  chunkCv.set(keyWords);
+  let offset = 0;
+  let blockFlags = CHUNK_START | flags;
+  while (length - offset > BLOCK_LEN) {
+    if (copied) {
+      compress(chunkCv, 0, chunkWords, offset >> 2, chunkCv, 0, 0, BLOCK_LEN, blockFlags, true);
+    } else {
+      readWordsLE(input, offset, blockWords, 16);
+      compress(chunkCv, 0, blockWords, 0, chunkCv, 0, 0, BLOCK_LEN, blockFlags, true);
+    }
+    blockFlags = flags;
+    offset = offset + BLOCK_LEN | 0;
+  }
+
+  const lastLen = length - offset | 0;
+  const lastFlags = blockFlags | CHUNK_END | ROOT;
+  if (copied) {
+    compress(chunkCv, 0, chunkWords, offset >> 2, outWords, 0, 0, lastLen, lastFlags, true);
+  } else {
+    readPartialBlock(input, offset, lastLen, blockWords);
+    compress(chunkCv, 0, blockWords, 0, outWords, 0, 0, lastLen, lastFlags, true);
+  }
+  return wordsIntoBytes(outWords, out, outOff);
+}
+
+// Called once the CV of chunk number `total` (counting from 1) is pushed:
+// every trailing zero bit of `total` is a subtree that is now complete, so
+// that many pairs on top of the stack are merged into their parent. Returns
+// the new top of the stack.
+function mergeCompleted(stack, stackPos, total, keyWords, flags) {
+  while ((total & 1) === 0) {
+    stackPos = stackPos - 16 | 0;
+    compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+    stackPos = stackPos + 8 | 0;
+    total = total >> 1;
+  }
+  return stackPos;
+}
+
+export function keyToWords(key) {
+  if (!(key instanceof Uint8Array)) {
+    throw new TypeError('Key must be a Uint8Array');
+  }
+  if (key.length !== KEY_LEN) {
+    throw new RangeError(`Key must be exactly ${KEY_LEN} bytes, got ${key.length}`);
+  }
+  const words = new Uint32Array(8);
+  for (let i = 0; i < 8; i = i + 1 | 0) {
+    const j = i << 2;
+    words[i] = key[j] | (key[j + 1 | 0] << 8) | (key[j + 2 | 0] << 16) | (key[j + 3 | 0] << 24);
+  }
+  return words;
+}
+
+export function contextKeyWords(context) {
+  if (typeof context !== 'string') {
+    throw new TypeError('Context must be a string');
+  }
+  const contextKey = hashInternal(defaultContext, textEncoder.encode(context), IV, DERIVE_KEY_CONTEXT, OUT_LEN);
+  return keyToWords(contextKey);
+}
@@ -0,0 +1,291 @@
+import {
+  BLOCK_LEN, CHUNK_END, CHUNK_START, DERIVE_KEY_MATERIAL, IS_LITTLE_ENDIAN, IV,
+  KEYED_HASH, MAX_DEPTH, OUT_LEN, PARENT, compress, readPartialBlock, readWordsLE,
+} from './compress.js';
+import { OutputReader } from './output.js';
+import { toBytes } from './input.js';
+import { contextKeyWords, hash, keyToWords } from './hash.js';
+
+// ============================================================================
+// STREAMING HASHER
+// ============================================================================
+// Same tree as hash(), but the chunk state and CV stack live on the instance so
+// input can arrive in pieces of any size and alignment. A block is only
+// compressed once more input is known to follow it, because the last block of
+// the last chunk (or the last parent) must carry the ROOT flag.
+// ============================================================================
+
+export class Hasher {
+  // Use Hasher.newKeyed()/newDeriveKey() rather than passing keyWords/flags
+  // directly.
+  constructor(keyWords = IV, flags = 0) {
+    this.key = keyWords.slice(0, 8);
+    this.flags = flags | 0;
+    this.cv = new Uint32Array(8);
+    this.block = new Uint8Array(BLOCK_LEN);
+    this.blockLen = 0;
+    this.blocksCompressed = 0;
+    this.chunkCounter = 0;
+    this.stack = new Uint32Array(MAX_DEPTH * 8);
+    this.stackPos = 0;
+    this.blockWords = new Uint32Array(16);
+    this.parentWords = new Uint32Array(16);
+    this.outWords = new Uint32Array(16);
+    this.cv.set(this.key);
+  }
+
+  static newKeyed(key) {
+    return new Hasher(keyToWords(key), KEYED_HASH);
+  }
+
+  static newDeriveKey(context) {
+    return new Hasher(contextKeyWords(context), DERIVE_KEY_MATERIAL);
+  }
+
+  reset() {
+    this.cv.set(this.key);
+    this.blockLen = 0;
+    this.blocksCompressed = 0;
+    this.chunkCounter = 0;
+    this.stackPos = 0;
+    return this;
+  }
+
+  update(data) {
+    const input = toBytes(data);
+    const length = input.length | 0;
+
+    let inputWords = null;
+    if (IS_LITTLE_ENDIAN && ((input.byteOffset & 3) === 0) && (length >= 64)) {
+      try {
+        inputWords = new Uint32Array(input.buffer, input.byteOffset, length >> 2);
+      } catch (e) {
+        inputWords = null;
+      }
+    }
+
+    let offset = 0;
+
+    // Top up a partially filled block from a previous update()
+    if (this.blockLen > 0) {
+      const take = Math.min(BLOCK_LEN - this.blockLen, length) | 0;
+      this.block.set(input.subarray(0, take), this.blockLen);
+      this.blockLen = this.blockLen + take | 0;
+      offset = take;
+      if (this.blockLen === BLOCK_LEN && offset < length) {
+        readWordsLE(this.block, 0, this.blockWords, 16);
+        this._compressBlock(this.blockWords, 0);
+        this.blockLen = 0;
+      }
+    }
+
+    // Whole blocks straight from the input, keeping at least one byte back
+    while (length - offset > BLOCK_LEN) {
+      if (inputWords !== null && (offset & 3) === 0) {
+        this._compressBlock(inputWords, offset >> 2);
+      } else {
+        readWordsLE(input, offset, this.blockWords, 16);
+        this._compressBlock(this.blockWords, 0);
+      }
+      offset = offset + BLOCK_LEN | 0;
+    }
+
+    if (offset < length) {
+      this.block.set(input.subarray(offset, length), 0);
+      this.blockLen = length - offset | 0;
+    }
+
+    return this;
+  }
+
+  // Snapshot of the state in the format described under HASHER STATE below.
+  exportState() {
+    const depth = this.stackPos >> 3;
+    const bodyLen = STATE_FIXED_LEN + depth * 32 + this.blockLen;
+    const out = new Uint8Array(bodyLen + STATE_CHECKSUM_LEN);
+    const view = new DataView(out.buffer);
+
+    out.set(STATE_MAGIC, 0);
+    out[4] = STATE_VERSION;
+    out[5] = this.flags;
+    out[6] = this.blocksCompressed;
+    out[7] = this.blockLen;
+    view.setBigUint64(8, BigInt(this.chunkCounter), true);
+    out[16] = depth;
+    writeWords(view, 17, this.key, 0, 8);
+    writeWords(view, 49, this.cv, 0, 8);
+    writeWords(view, STATE_FIXED_LEN, this.stack, 0, depth * 8);
+    out.set(this.block.subarray(0, this.blockLen), STATE_FIXED_LEN + depth * 32);
+    out.set(hash(out.subarray(0, bodyLen), { length: STATE_CHECKSUM_LEN }), bodyLen);
+    return out;
+  }
+
+  // Rebuilds a hasher from exportState() output. Throws on anything that is
+  // not a well-formed, internally consistent state of a known version.
+  static importState(state) {
+    if (!(state instanceof Uint8Array)) {
+      throw new TypeError('Hasher state must be a Uint8Array');
+    }
+    if (state.length < STATE_FIXED_LEN + STATE_CHECKSUM_LEN) {
+      throw new Error(`Invalid hasher state: ${state.length} bytes is too short`);
+    }
+    for (let i = 0; i < 4; i++) {
+      if (state[i] !== STATE_MAGIC[i]) throw new Error('Invalid hasher state: bad magic bytes');
+    }
+    if (state[4] !== STATE_VERSION) {
+      throw new Error(`Invalid hasher state: unsupported version ${state[4]}`);
+    }
+
+    const view = new DataView(state.buffer, state.byteOffset, state.length);
+    const flags = state[5];
+    const blocksCompressed = state[6];
+    const blockLen = state[7];
+    const depth = state[16];
+    const bodyLen = STATE_FIXED_LEN + depth * 32 + blockLen;
+    if (state.length !== bodyLen + STATE_CHECKSUM_LEN) {
+      throw new Error(`Invalid hasher state: expected ${bodyLen + STATE_CHECKSUM_LEN} bytes, got ${state.length}`);
+    }
+    const checksum = hash(state.subarray(0, bodyLen), { length: STATE_CHECKSUM_LEN });
+    for (let i = 0; i < STATE_CHECKSUM_LEN; i++) {
+      if (checksum[i] !== state[bodyLen + i]) throw new Error('Invalid hasher state: checksum mismatch');
+    }
+
+    const chunkCounter = view.getBigUint64(8, true);
+    if (flags !== 0 && flags !== KEYED_HASH && flags !== DERIVE_KEY_MATERIAL) {
+      throw new Error(`Invalid hasher state: unknown mode flags ${flags}`);
+    }
+    if (blocksCompressed > 15 || blockLen > BLOCK_LEN ||
+        (blockLen === 0 && (blocksCompressed !== 0 || chunkCounter !== 0n))) {
+      throw new Error('Invalid hasher state: inconsistent chunk position');
+    }
+    if (chunkCounter > BigInt(Number.MAX_SAFE_INTEGER) || depth !== popcount(Number(chunkCounter))) {
+      throw new Error('Invalid hasher state: CV stack depth does not match the chunk counter');
+    }
+
+    const keyWords = readWords(view, 17, 8);
+    if (flags === 0 && !keyWords.every((w, i) => w === IV[i])) {
+      throw new Error('Invalid hasher state: unkeyed state with a non-default key');
+    }
+
+    const hasher = new Hasher(keyWords, flags);
+    hasher.cv.set(readWords(view, 49, 8));
+    hasher.stack.set(readWords(view, STATE_FIXED_LEN, depth * 8));
+    hasher.stackPos = depth * 8;
+    hasher.chunkCounter = Number(chunkCounter);
+    hasher.blocksCompressed = blocksCompressed;
+    hasher.block.set(state.subarray(STATE_FIXED_LEN + depth * 32, bodyLen));
+    hasher.blockLen = blockLen;
+    return hasher;
+  }
+
+  // Does not modify the hasher: more input may follow and finalize() may be
+  // called again.
+  finalize(length = OUT_LEN) {
+    return this.finalizeXof().read(length);
+  }
+
+  finalizeXof() {
+    const stack = this.stack;
+    const blockWords = this.blockWords;
+    const parentWords = this.parentWords;
+    const outWords = this.outWords;
+
+    readPartialBlock(this.block, 0, this.blockLen, blockWords);
+    const lastFlags = (this.blocksCompressed === 0 ? CHUNK_START : 0) | CHUNK_END | this.flags;
+
+    if (this.stackPos === 0) {
+      return new OutputReader(this.cv, 0, blockWords, 0, this.blockLen, lastFlags);
+    }
+
+    compress(this.cv, 0, blockWords, 0, outWords, 0,
+             this.chunkCounter, this.blockLen, lastFlags, true);
+
+    for (let pos = this.stackPos - 8 | 0; pos >= 0; pos = pos - 8 | 0) {
+      parentWords.set(stack.subarray(pos, pos + 8 | 0), 0);
+      parentWords.set(outWords.subarray(0, 8), 8);
+      if (pos === 0) break;
+      compress(this.key, 0, parentWords, 0, outWords, 0, 0, BLOCK_LEN, PARENT | this.flags, true);
+    }
+
+    return new OutputReader(this.key, 0, parentWords, 0, BLOCK_LEN, PARENT | this.flags);
+  }
+
+  // Compresses one full block into the current chunk. Only called when more
+  // input follows, so a completed chunk can never be the root.
+  _compressBlock(words, wordsOff) {
+    const block = this.blocksCompressed | 0;
+    const blockFlags = (block === 0 ? CHUNK_START : 0) |
+                       (block === 15 ? CHUNK_END : 0) | this.flags;
+
+    compress(this.cv, 0, words, wordsOff, this.cv, 0,
+             this.chunkCounter, BLOCK_LEN, blockFlags, true);
+
+    if (block === 15) {
+      this._pushChunkCv();
+    } else {
+      this.blocksCompressed = block + 1 | 0;
+    }
+  }
+
+  _pushChunkCv() {
+    const stack = this.stack;
+    let stackPos = this.stackPos;
+
+    stack.set(this.cv, stackPos);
+    stackPos = stackPos + 8 | 0;
+    this.chunkCounter = this.chunkCounter + 1;
+
+    let total = this.chunkCounter;
+    while (total % 2 === 0) {
+      stackPos = stackPos - 16 | 0;
+      compress(this.key, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | this.flags, true);
+      stackPos = stackPos + 8 | 0;
+      total = total / 2;
+    }
+
+    this.stackPos = stackPos;
+    this.cv.set(this.key);
+    this.blocksCompressed = 0;
+  }
+}
+
+// ============================================================================
+// HASHER STATE
+// ============================================================================
+// exportState() layout, version 1 (integers little-endian):
+//   0   4  magic "B3HS"
+//   4   1  version
+//   5   1  mode flags (0, KEYED_HASH or DERIVE_KEY_MATERIAL)
+//   6   1  blocks compressed in the current chunk (0..15)
+//   7   1  buffered block length (0..64)
+//   8   8  chunk counter
+//   16  1  CV stack depth (always the popcount of the chunk counter)
+//   17  32 key words
+//   49  32 current chunk CV
+//   81  32 per CV stack entry, bottom first
+//   ..  the buffered block bytes
+//   ..  16 BLAKE3 of everything above
+// The checksum catches corruption and truncation, not a deliberate forgery.
+// In keyed mode the blob contains the key, so store it like the key.
+// ============================================================================
+
+const STATE_MAGIC = new Uint8Array([0x42, 0x33, 0x48, 0x53]);
+const STATE_VERSION = 1;
+const STATE_FIXED_LEN = 81;
+const STATE_CHECKSUM_LEN = 16;
+
+function writeWords(view, offset, words, wordsOff, count) {
+  for (let i = 0; i < count; i++) view.setUint32(offset + i * 4, words[wordsOff + i], true);
+}
+
+function readWords(view, offset, count) {
+  const words = new Uint32Array(count);
+  for (let i = 0; i < count; i++) words[i] = view.getUint32(offset + i * 4, true);
+  return words;
+}
+
+function popcount(n) {
+  let count = 0;
+  for (; n > 0; n = Math.floor(n / 2)) count += n % 2;
+  return count;
+}
@@ -0,0 +1,444 @@
+/** Default digest length in bytes. */
+export const OUT_LEN: 32;
+/** Key length for keyed hashing, in bytes. */
+export const KEY_LEN: 32;
+export const BLOCK_LEN: 64;
+export const CHUNK_LEN: 1024;
+/** Whether the platform is little-endian (enables the zero-copy input path). */
+export const IS_LITTLE_ENDIAN: boolean;
+
+/**
+ * Anything the hash functions accept: strings are UTF-8 encoded, buffers and
+ * views of any type are hashed in place. For Blob/File see `hashBlob()`.
+ */
+export type Input = string | ArrayBuffer | SharedArrayBuffer | ArrayBufferView;
+
+export interface HashOptions {
+  /** Output length in bytes (extendable output). Defaults to 32. */
+  length?: number;
+}
+
+/** BLAKE3 hash of `input`. */
+export function hash(input: Input, options?: HashOptions): Uint8Array;
+
+/** BLAKE3 keyed hash (MAC). `key` must be exactly 32 bytes. */
+export function keyedHash(key: Uint8Array, input: Input, options?: HashOptions): Uint8Array;
+
+/**
+ * Writes the 32-byte hash of `input` to `out` at `outOffset` (default 0) and
+ * returns `out`. Allocates nothing for byte inputs of up to 1024 bytes; a
+ * longer aligned input gets one small word view per call.
+ */
+export function hashInto<T extends Uint8Array>(input: Input, out: T, outOffset?: number): T;
+
+/**
+ * Hashes each input into `outBuffer` at 32 * index and returns `outBuffer`,
+ * which must hold at least 32 * inputs.length bytes. Like `hashInto()`, it
+ * allocates nothing per input for byte inputs of up to 1024 bytes.
+ */
+export function hashMany<T extends Uint8Array>(inputs: readonly Input[], outBuffer: T): T;
+
+/**
+ * BLAKE3 key derivation. `context` should be a hardcoded, globally unique,
+ * application-specific string.
+ */
+export function deriveKey(context: string, keyMaterial: Input, length?: number): Uint8Array;
+
+/**
+ * Owns the scratch buffers of one-shot hashing. The module functions share a
+ * default context; create more to give each pooled worker or job its own. A
+ * context may be reused for any number of calls.
+ */
+export class HashContext {
+  constructor();
+  hash(input: Input, options?: HashOptions): Uint8Array;
+  keyedHash(key: Uint8Array, input: Input, options?: HashOptions): Uint8Array;
+  deriveKey(context: string, keyMaterial: Input, length?: number): Uint8Array;
+  hashInto<T extends Uint8Array>(input: Input, out: T, outOffset?: number): T;
+  hashMany<T extends Uint8Array>(inputs: readonly Input[], outBuffer: T): T;
+}
+
+/** Incremental hasher. Input may be split at any byte boundary. */
+export class Hasher {
+  constructor();
+  static newKeyed(key: Uint8Array): Hasher;
+  static newDeriveKey(context: string): Hasher;
+  update(input: Input): this;
+  /** Returns the digest without modifying the hasher. */
+  finalize(length?: number): Uint8Array;
+  /** Returns a reader over the extendable output. */
+  finalizeXof(): OutputReader;
+  reset(): this;
+  /**
+   * Serializes the hasher to a compact, versioned byte string that
+   * `Hasher.importState()` turns back into an equivalent hasher. In keyed
+   * mode the state contains the key.
+   */
+  exportState(): Uint8Array;
+  /** Restores `exportState()` output; throws on corrupt or truncated state. */
+  static importState(state: Uint8Array): Hasher;
+}
+
+/** Seekable reader over BLAKE3 extendable output. */
+export class OutputReader {
+  private constructor();
+  /** Current byte offset into the output stream. */
+  readonly position: number;
+  /** Moves to a byte offset in the output (any safe integer). */
+  seek(position: number): this;
+  read(length: number): Uint8Array;
+  fill<T extends Uint8Array>(out: T): T;
+}
+
+/** Lowercase hex. */
+export function toHex(bytes: Uint8Array): string;
+/** Parses hex (either case). Throws SyntaxError on malformed input. */
+export function fromHex(text: string): Uint8Array;
+/** Standard padded base64. */
+export function toBase64(bytes: Uint8Array): string;
+export function fromBase64(text: string): Uint8Array;
+/** URL-safe base64 without padding. */
+export function toBase64Url(bytes: Uint8Array): string;
+export function fromBase64Url(text: string): Uint8Array;
+/** RFC 4648 base32, lowercase, without padding. Parsing ignores case. */
+export function toBase32(bytes: Uint8Array): string;
+export function fromBase32(text: string): Uint8Array;
+
+/** Multicodec code of BLAKE3 (0x1e). */
+export const BLAKE3_MULTICODEC: 0x1e;
+/** `digest` as a BLAKE3 multihash: code, length, digest. */
+export function toMultihash(digest: Uint8Array): Uint8Array;
+/** The digest inside a BLAKE3 multihash. */
+export function fromMultihash(multihash: Uint8Array): Uint8Array;
+
+export interface CidOptions {
+  /** Multicodec of the hashed content. Defaults to raw (0x55). */
+  codec?: number;
+}
+
+/** Base32 CIDv1 string ("b...") for a BLAKE3 digest. */
+export function toCid(digest: Uint8Array, options?: CidOptions): string;
+/** Parses a base32 CIDv1 with a BLAKE3 multihash. */
+export function parseCid(text: string): { version: 1; codec: number; digest: Uint8Array };
+
+/**
+ * Constant-time comparison for MACs and digests: the running time depends
+ * only on the lengths. Different lengths compare unequal.
+ */
+export function equals(a: Uint8Array, b: Uint8Array): boolean;
+
+export interface ParallelHashOptions extends HashOptions {
+  /** Worker count. Defaults to the number of logical CPUs. */
+  workers?: number;
+  /** Inputs smaller than this are hashed on the calling thread. Defaults to 1 MiB. */
+  minParallelBytes?: number;
+}
+
+/**
+ * Hashes `input` in a pool of Web Workers / worker_threads. The result is
+ * identical to `hash()`. Inputs backed by a SharedArrayBuffer are shared with
+ * the workers; others are copied once into transferable buffers.
+ */
+export function hashParallel(input: Input, options?: ParallelHashOptions): Promise<Uint8Array>;
+
+/** Shuts down the worker pool used by `hashParallel()`. */
+export function terminateWorkers(): Promise<void>;
+
+export type Backend = 'auto' | 'js' | 'wasm';
+
+/**
+ * Chooses the compression backend. 'auto' (the default) uses the WebAssembly
+ * SIMD backend when the engine supports it and falls back to JS otherwise.
+ * Forcing 'wasm' throws if it is unavailable.
+ */
+export function setBackend(name: Backend): void;
+
+/** The backend currently in use. */
+export function getBackend(): 'js' | 'wasm';
+
+export interface BaoEncodeOptions {
+  /** Leave the content out and emit only the header and parent nodes. */
+  outboard?: boolean;
+}
+
+export interface BaoEncoding {
+  /** The BLAKE3 hash of the content (same as `hash(input)`). */
+  hash: Uint8Array;
+  encoded: Uint8Array;
+}
+
+/**
+ * Bao encoding of `input`: an 8-byte little-endian length followed by the
+ * BLAKE3 tree in pre-order, with the chunks interleaved (combined) or left
+ * out (outboard).
+ */
+export function baoEncode(input: Input, options?: BaoEncodeOptions): BaoEncoding;
+
+/**
+ * The part of an encoding needed to verify `length` bytes at `start`. Pass the
+ * original `content` when `encoded` is an outboard encoding.
+ */
+export function baoExtractSlice(encoded: Uint8Array, start: number, length: number, content?: Uint8Array): Uint8Array;
+
+/**
+ * Verifies a slice against the root hash and returns the requested content.
+ * Throws on the first node that does not verify.
+ */
+export function baoDecodeSlice(slice: Uint8Array, rootHash: Uint8Array, start: number, length: number): Uint8Array;
+
+/** Verifies a whole combined encoding and returns the content. */
+export function baoDecode(encoded: Uint8Array, rootHash: Uint8Array): Uint8Array;
+
+/**
+ * Incremental slice decoder. `update()` returns the content verified by the
+ * bytes so far and throws as soon as a node fails to verify; `finalize()`
+ * throws if the slice was truncated. Omit `length` to read to the end.
+ */
+export class BaoDecoder {
+  constructor(rootHash: Uint8Array, start?: number, length?: number);
+  update(bytes: Uint8Array): Uint8Array;
+  finalize(): void;
+}
+
+export interface StreamHashOptions extends HashOptions {
+  /** The hasher to feed, e.g. `Hasher.newKeyed(key)`. Defaults to `new Hasher()`. */
+  hasher?: Hasher;
+}
+
+/**
+ * Hashes chunks as they pass through unchanged; use it with `pipeThrough()`.
+ * `digest` resolves when the stream closes and rejects if the writable side is
+ * aborted, the readable side is cancelled, or a chunk cannot be hashed.
+ */
+export class HashTransformStream<T extends Input = Uint8Array> implements ReadableWritablePair<T, T> {
+  constructor(options?: StreamHashOptions);
+  readonly readable: ReadableStream<T>;
+  readonly writable: WritableStream<T>;
+  readonly digest: Promise<Uint8Array>;
+}
+
+/**
+ * Hashes everything written to it. `digest` resolves on close and rejects if
+ * the stream is aborted or a chunk cannot be hashed.
+ */
+export class HashWritableStream extends WritableStream<Input> {
+  constructor(options?: StreamHashOptions);
+  readonly digest: Promise<Uint8Array>;
+}
+
+/** Hashes an async iterable of chunks or a ReadableStream without collecting it. */
+export function hashAsyncIterable(
+  iterable: AsyncIterable<Input> | Iterable<Input> | ReadableStream<Input>,
+  options?: StreamHashOptions,
+): Promise<Uint8Array>;
+
+/** Hashes a Blob or File by streaming it; never loads it whole. */
+export function hashBlob(blob: Blob, options?: StreamHashOptions): Promise<Uint8Array>;
+
+export interface SubtreeOptions {
+  /** Keyed-hash mode with this 32-byte key. */
+  key?: Uint8Array;
+  /** derive_key mode: the CVs are for key material under this context. */
+  context?: string;
+}
+
+/**
+ * Non-root chaining value of a subtree: `input` covers up to 2^k chunks
+ * starting at `chunkCounter`, which must be a multiple of 2^k and less than
+ * 2^53. Only the last subtree of a message may be short.
+ */
+export function hashSubtree(input: Input, chunkCounter: number, options?: SubtreeOptions): Uint8Array;
+
+/** Non-root parent CV of two neighbouring subtree CVs. */
+export function mergeCvs(left: Uint8Array, right: Uint8Array, options?: SubtreeOptions): Uint8Array;
+
+/** Root hash of a message from the CVs of the root's left and right children. */
+export function finalizeRoot(
+  left: Uint8Array, right: Uint8Array, options?: SubtreeOptions & HashOptions,
+): Uint8Array;
+
+export interface ChunkerOptions {
+  /** Smallest chunk, except for the last one. Defaults to 2048. */
+  minSize?: number;
+  /** Target average chunk size; a power of two. Defaults to 8192. */
+  avgSize?: number;
+  /** Largest chunk. Defaults to 65536. */
+  maxSize?: number;
+}
+
+export const CHUNKER_DEFAULTS: Readonly<Required<ChunkerOptions>>;
+
+/**
+ * FastCDC content-defined chunker. The same bytes always give the same
+ * chunks, however they are split across `push()` calls.
+ */
+export class Chunker {
+  constructor(options?: ChunkerOptions);
+  readonly minSize: number;
+  readonly avgSize: number;
+  readonly maxSize: number;
+  /** Feeds bytes; returns the chunks they complete. */
+  push(input: Input): Uint8Array[];
+  /** Returns the final chunk (none for empty input) and resets the chunker. */
+  finish(): Uint8Array[];
+}
+
+/** Where chunks are kept, keyed by their lowercase hex BLAKE3 digest. */
+export interface ChunkStore {
+  has(digest: string): Promise<boolean>;
+  /** The chunk, or undefined if the store does not have it. */
+  get(digest: string): Promise<Uint8Array | undefined>;
+  put(digest: string, bytes: Uint8Array): Promise<void>;
+}
+
+export const MANIFEST_VERSION: 1;
+
+export interface ManifestChunk {
+  offset: number;
+  length: number;
+  /** Lowercase hex BLAKE3 hash of the chunk. */
+  hash: string;
+}
+
+/** JSON-serializable description of a chunked file. */
+export interface Manifest {
+  version: 1;
+  size: number;
+  /** Lowercase hex BLAKE3 hash of the whole file, the same as `hash(file)`. */
+  hash: string;
+  chunker: Required<ChunkerOptions>;
+  chunks: ManifestChunk[];
+}
+
+export interface BuildManifestOptions extends ChunkerOptions {
+  /** Chunks missing from this store are added to it. */
+  store?: ChunkStore;
+}
+
+/** Chunks and hashes `source` in one streaming pass. */
+export function buildManifest(
+  source: Input | Blob | AsyncIterable<Input> | Iterable<Input> | ReadableStream<Input>,
+  options?: BuildManifestOptions,
+): Promise<Manifest>;
+
+/**
+ * Yields the file's chunks from `store`, each verified before it is yielded.
+ * Throws on a missing or corrupt chunk, and at the end if the whole-file
+ * hash does not match.
+ */
+export function reassembleChunks(manifest: Manifest, store: ChunkStore): AsyncGenerator<Uint8Array, void, undefined>;
+
+/** The whole verified file. */
+export function reassemble(manifest: Manifest, store: ChunkStore): Promise<Uint8Array>;
+
+/** In-memory chunk store. */
+export class MemoryChunkStore implements ChunkStore {
+  constructor();
+  /** Number of distinct chunks stored. */
+  readonly size: number;
+  has(digest: string): Promise<boolean>;
+  get(digest: string): Promise<Uint8Array | undefined>;
+  put(digest: string, bytes: Uint8Array): Promise<void>;
+}
+
+export const DIRECTORY_MANIFEST_VERSION: 1;
+
+/** A file or symlink in a directory manifest. */
+export interface DirectoryEntry {
+  /** Relative path with '/' separators. */
+  path: string;
+  type: 'file' | 'symlink';
+  /** 0o644 or 0o755 for files (only the executable bit is kept), 0o777 for symlinks. */
+  mode: number;
+  /** Bytes hashed: the file size, or the UTF-8 length of the link target. */
+  size: number;
+  /** Lowercase hex BLAKE3 hash of the contents or link target. */
+  hash: string;
+}
+
+export interface DirectoryManifest {
+  version: 1;
+  /** Lowercase hex BLAKE3 hash of the canonical manifest text. */
+  root: string;
+  /** Entries in ascending order of their paths' UTF-8 bytes. */
+  entries: DirectoryEntry[];
+}
+
+/**
+ * The canonical manifest text: a `blake3-ultra directory manifest v1` header
+ * line, then `<f|l> <mode> <size> <hash> <escaped path>` per entry, sorted.
+ */
+export function formatDirectoryManifest(entries: readonly DirectoryEntry[]): string;
+
+/** Parses canonical manifest text and computes its root. Throws SyntaxError otherwise. */
+export function parseDirectoryManifest(text: string): DirectoryManifest;
+
+export interface DirectoryDiff {
+  added: string[];
+  removed: string[];
+  changed: { path: string; before: DirectoryEntry; after: DirectoryEntry }[];
+}
+
+/** What changed between two manifests, by path. */
+export function diffDirectoryManifests(
+  before: Pick<DirectoryManifest, 'entries'>, after: Pick<DirectoryManifest, 'entries'>,
+): DirectoryDiff;
+
+/**
+ * Seedable, seekable random stream: the keyed BLAKE3 extendable output of the
+ * empty message, keyed by `deriveKey()` of the seed. A number seed must be a
+ * non-negative safe integer; strings and bytes are used as they are. The same
+ * seed always gives the same stream.
+ */
+export class Blake3Rng {
+  constructor(seed: number | Input);
+  /** Offset of the next byte in the stream. */
+  readonly position: number;
+  /** Moves to a byte offset in the stream (at most 2^53 - 1). */
+  seek(offset: number): this;
+  fillBytes<T extends Uint8Array>(out: T): T;
+  nextBytes(length: number): Uint8Array;
+  /** The next 4 bytes as a little-endian unsigned integer. */
+  nextUint32(): number;
+  /** Uniform in [0, 1) with 53 bits of precision. */
+  nextFloat(): number;
+  /** Uniform integer in [min, max), without modulo bias. The range may hold up to 2^53 values. */
+  nextInt(min: number, max: number): number;
+}
+
+export interface SelfTestResult {
+  ok: boolean;
+  /** Backends the known-answer tests ran through. */
+  backends: ('js' | 'wasm')[];
+  /** Number of comparisons made. */
+  checks: number;
+  /** One description per failed comparison. */
+  failures: string[];
+}
+
+/**
+ * Runs known-answer tests through every available backend in all three modes,
+ * for aligned and misaligned input. Leaves the selected backend unchanged.
+ * Import from 'blake3-ultra/fail-closed' to run it on startup and throw on
+ * failure.
+ */
+export function selfTest(): SelfTestResult;
+
+export interface Capabilities {
+  littleEndian: boolean;
+  /** Whether aligned input is read in place as 32-bit words. */
+  zeroCopy: boolean;
+  /** Whether the WebAssembly SIMD backend can be used. */
+  wasmSimd: boolean;
+  /** The backend in use now. */
+  backend: 'js' | 'wasm';
+  /** Whether hashParallel() can start workers. */
+  workers: boolean;
+  /** Whether SharedArrayBuffer is usable (in browsers: the page is cross-origin isolated). */
+  sharedArrayBuffer: boolean;
+  /** `node <version>`, the browser's user agent, or 'unknown'. */
+  runtime: string;
+}
+
+/** What this engine supports and what the library will use. */
+export function capabilities(): Capabilities;
@@ -0,0 +1,21 @@
+export { OUT_LEN, KEY_LEN, BLOCK_LEN, CHUNK_LEN, IS_LITTLE_ENDIAN } from './compress.js';
+export { hash, keyedHash, deriveKey, hashInto, hashMany, HashContext } from './hash.js';
+export { Hasher } from './hasher.js';
+export { OutputReader } from './output.js';
+export {
+  toHex, fromHex, toBase64, fromBase64, toBase64Url, fromBase64Url, toBase32, fromBase32,
+  toMultihash, fromMultihash, toCid, parseCid, equals, BLAKE3_MULTICODEC,
+} from './encoding.js';
+export { hashParallel, terminateWorkers } from './parallel.js';
+export { setBackend, getBackend } from './backend.js';
+export { baoEncode, baoExtractSlice, baoDecodeSlice, baoDecode, BaoDecoder } from './bao.js';
+export { HashTransformStream, HashWritableStream, hashAsyncIterable, hashBlob } from './streams.js';
+export { hashSubtree, mergeCvs, finalizeRoot } from './subtree.js';
+export {
+  Chunker, buildManifest, reassemble, reassembleChunks, MemoryChunkStore, CHUNKER_DEFAULTS, MANIFEST_VERSION,
+} from './cdc.js';
+export {
+  formatDirectoryManifest, parseDirectoryManifest, diffDirectoryManifests, DIRECTORY_MANIFEST_VERSION,
+} from './directory.js';
+export { Blake3Rng } from './rng.js';
+export { selfTest, capabilities } from './selftest.js';
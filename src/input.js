@@ -0,0 +1,32 @@
+// ============================================================================
+// INPUT NORMALIZATION
+// ============================================================================
+// Every public entry point takes its message through toBytes(). Strings are
+// UTF-8 encoded (the only copy); buffers and views of any element type are
+// wrapped in a Uint8Array over the same memory. Blob/File can only be read
+// asynchronously, so the synchronous functions point at hashBlob() instead.
+// ============================================================================
+
+const textEncoder = new TextEncoder();
+
+const ACCEPTED = 'a string, ArrayBuffer, SharedArrayBuffer, TypedArray, DataView or Buffer';
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (typeof value !== 'object') return typeof value;
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+export function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (typeof input === 'string') return textEncoder.encode(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+
+  // Tag checks rather than instanceof, so buffers from other realms work too.
+  const tag = typeName(input);
+  if (tag === 'ArrayBuffer' || tag === 'SharedArrayBuffer') return new Uint8Array(input);
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    throw new TypeError(`${tag} input can only be read asynchronously; use hashBlob()`);
+  }
+  throw new TypeError(`Input must be ${ACCEPTED}, got ${tag}`);
+}
@@ -0,0 +1,33 @@
+import { Transform, Writable } from 'node:stream';
+import type { ChunkStore, DirectoryManifest, StreamHashOptions } from './index.js';
+
+/** Hashes data as it passes through unchanged. `digest` resolves at the end. */
+export class HashTransform extends Transform {
+  constructor(options?: StreamHashOptions);
+  readonly digest: Promise<Uint8Array>;
+}
+
+/** Hashes everything written to it. `digest` resolves once it finishes. */
+export class HashWritable extends Writable {
+  constructor(options?: StreamHashOptions);
+  readonly digest: Promise<Uint8Array>;
+}
+
+/**
+ * Chunk store in a directory: one file per chunk, named by its hex digest,
+ * under a subdirectory named by the first two digits. Writes are atomic.
+ */
+export class DirectoryChunkStore implements ChunkStore {
+  constructor(directory: string);
+  readonly directory: string;
+  has(digest: string): Promise<boolean>;
+  get(digest: string): Promise<Uint8Array | undefined>;
+  put(digest: string, bytes: Uint8Array): Promise<void>;
+}
+
+/**
+ * Hashes a directory tree: every regular file is streamed through BLAKE3 and
+ * symlinks are recorded without being followed. The root is the hash of the
+ * canonical manifest (see `formatDirectoryManifest()`).
+ */
+export function hashDirectory(directory: string): Promise<DirectoryManifest>;
@@ -0,0 +1,190 @@
+import { createReadStream } from 'node:fs';
+import { lstat, mkdir, readdir, readFile, readlink, rename, stat, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Transform, Writable } from 'node:stream';
+
+import { directoryManifest } from './directory.js';
+import { toHex } from './encoding.js';
+import { hash } from './hash.js';
+import { Hasher } from './hasher.js';
+import { deferred, forEachChunk, streamHasher } from './streams.js';
+
+// ============================================================================
+// NODE STREAMS
+// ============================================================================
+// Node counterparts of HashTransformStream/HashWritableStream, published as
+// 'blake3-ultra/node' so the main entry point never imports node:stream.
+// Strings are written as Buffers (decodeStrings), so any Writable input works.
+// ============================================================================
+
+// Passes data through unchanged:
+//   const hs = new HashTransform();
+//   await pipeline(createReadStream(src), hs, createWriteStream(dst));
+//   const digest = await hs.digest;
+export class HashTransform extends Transform {
+  constructor(options = {}) {
+    const { hasher, length } = streamHasher(options);
+    super();
+    this._hasher = hasher;
+    this._length = length;
+    this._result = deferred();
+    this.digest = this._result.promise;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._hasher.update(chunk);
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this._result.resolve(this._hasher.finalize(this._length));
+    callback();
+  }
+
+  _destroy(err, callback) {
+    this._result.reject(err || new Error('Stream was destroyed before it ended'));
+    callback(err);
+  }
+}
+
+// Consumes the data:
+//   const hs = new HashWritable();
+//   await pipeline(createReadStream(path), hs);
+//   const digest = await hs.digest;
+export class HashWritable extends Writable {
+  constructor(options = {}) {
+    const { hasher, length } = streamHasher(options);
+    super();
+    this._hasher = hasher;
+    this._length = length;
+    this._result = deferred();
+    this.digest = this._result.promise;
+  }
+
+  _write(chunk, encoding, callback) {
+    this._hasher.update(chunk);
+    callback();
+  }
+
+  _final(callback) {
+    this._result.resolve(this._hasher.finalize(this._length));
+    callback();
+  }
+
+  _destroy(err, callback) {
+    this._result.reject(err || new Error('Stream was destroyed before it finished'));
+    callback(err);
+  }
+}
+
+// ============================================================================
+// DIRECTORY CHUNK STORE
+// ============================================================================
+// A chunk store (see cdc.js) on disk: each chunk is a file named by its hex
+// digest, in a subdirectory named by the first two digits so no directory
+// grows too large. put() writes to a temporary file and renames it into
+// place, so a crash never leaves a partial chunk under a real name.
+// ============================================================================
+
+const CHUNK_DIGEST = /^[0-9a-f]{64}$/;
+
+let tempCounter = 0;
+
+export class DirectoryChunkStore {
+  constructor(directory) {
+    if (typeof directory !== 'string') {
+      throw new TypeError('DirectoryChunkStore needs a directory path');
+    }
+    this.directory = directory;
+  }
+
+  _path(digest) {
+    if (typeof digest !== 'string' || !CHUNK_DIGEST.test(digest)) {
+      throw new TypeError('Chunk digest must be 64 lowercase hex digits');
+    }
+    return join(this.directory, digest.slice(0, 2), digest);
+  }
+
+  async has(digest) {
+    try {
+      await stat(this._path(digest));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async get(digest) {
+    try {
+      return await readFile(this._path(digest));
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+  }
+
+  async put(digest, bytes) {
+    const path = this._path(digest);
+    await mkdir(join(this.directory, digest.slice(0, 2)), { recursive: true });
+    const temp = `${path}.${process.pid}.${tempCounter++}.tmp`;
+    try {
+      await writeFile(temp, bytes);
+      await rename(temp, path);
+    } catch (err) {
+      await unlink(temp).catch(() => {});
+      throw err;
+    }
+  }
+}
+
+// ============================================================================
+// DIRECTORY HASHING
+// ============================================================================
+// Walks a tree and returns its manifest and root (see directory.js). Files
+// are streamed through a Hasher one at a time, so memory use does not depend
+// on file sizes. Symlinks are recorded, not followed. Anything that is not a
+// directory, regular file or symlink (sockets, FIFOs, devices) is an error,
+// since reading it could block or would not be reproducible.
+// ============================================================================
+
+const READ_CHUNK = 1024 * 1024;
+
+async function hashFile(path) {
+  const hasher = new Hasher();
+  let size = 0;
+  await forEachChunk(createReadStream(path, { highWaterMark: READ_CHUNK }), (chunk) => {
+    hasher.update(chunk);
+    size += chunk.length;
+  });
+  return { size, hash: toHex(hasher.finalize()) };
+}
+
+async function walk(root, relative, entries) {
+  const dirents = await readdir(relative === '' ? root : join(root, relative), { withFileTypes: true });
+  for (const dirent of dirents) {
+    const path = relative === '' ? dirent.name : `${relative}/${dirent.name}`;
+    const full = join(root, path);
+    if (dirent.isDirectory()) {
+      await walk(root, path, entries);
+    } else if (dirent.isFile()) {
+      const { mode } = await lstat(full);
+      entries.push({ path, type: 'file', mode: mode & 0o111 ? 0o755 : 0o644, ...await hashFile(full) });
+    } else if (dirent.isSymbolicLink()) {
+      const target = Buffer.from(await readlink(full), 'utf8');
+      entries.push({ path, type: 'symlink', mode: 0o777, size: target.length, hash: toHex(hash(target)) });
+    } else {
+      throw new Error(`Cannot hash ${full}: not a regular file, directory or symlink`);
+    }
+  }
+}
+
+//   const { root, entries } = await hashDirectory('dist');
+export async function hashDirectory(directory) {
+  if (!(await stat(directory)).isDirectory()) {
+    throw new Error(`Not a directory: ${directory}`);
+  }
+  const entries = [];
+  await walk(directory, '', entries);
+  return directoryManifest(entries);
+}
@@ -0,0 +1,77 @@
+import { BLOCK_LEN, OUT_LEN, ROOT, compress } from './compress.js';
+
+// ============================================================================
+// EXTENDABLE OUTPUT (XOF)
+// ============================================================================
+// The root node is compressed without truncation and with an incrementing
+// output block counter, giving 64 bytes per compression. The reader keeps a
+// copy of the root inputs, so it stays valid after the hasher moves on.
+// The output block counter is 64 bits wide, but positions are plain numbers,
+// so the reader covers the first 2^53 - 1 bytes of the output (8 PiB).
+// ============================================================================
+
+export const MAX_OUTPUT_POSITION = Number.MAX_SAFE_INTEGER;
+
+export class OutputReader {
+  constructor(cv, cvOff, msg, msgOff, blockLen, flags) {
+    this.cv = cv.slice(cvOff, cvOff + 8 | 0);
+    this.msg = msg.slice(msgOff, msgOff + 16 | 0);
+    this.blockLen = blockLen | 0;
+    this.flags = flags | ROOT;
+    this.position = 0;
+    this.outWords = new Uint32Array(16);
+  }
+
+  seek(position) {
+    if (!Number.isInteger(position) || position < 0 || position > MAX_OUTPUT_POSITION) {
+      throw new RangeError(`Output position must be an integer in [0, ${MAX_OUTPUT_POSITION}], got ${position}`);
+    }
+    this.position = position;
+    return this;
+  }
+
+  read(length) {
+    const out = new Uint8Array(checkOutputLength(length));
+    this.fill(out);
+    return out;
+  }
+
+  fill(out) {
+    const length = out.length;
+    let position = this.position;
+    if (position + length > MAX_OUTPUT_POSITION) {
+      throw new RangeError(`Output would extend past position ${MAX_OUTPUT_POSITION}`);
+    }
+
+    const outWords = this.outWords;
+    let written = 0;
+    while (written < length) {
+      const counter = Math.floor(position / BLOCK_LEN);
+      compress(this.cv, 0, this.msg, 0, outWords, 0,
+               counter, this.blockLen, this.flags, false);
+
+      let i = position % BLOCK_LEN;
+      const end = Math.min(BLOCK_LEN, i + length - written);
+      for (; i < end; i = i + 1 | 0) {
+        out[written] = outWords[i >> 2] >>> ((i & 3) << 3);
+        written = written + 1;
+      }
+      position = counter * BLOCK_LEN + end;
+    }
+
+    this.position = position;
+    return out;
+  }
+}
+
+export function getOutputLength(options) {
+  return options === undefined || options.length === undefined
+    ? OUT_LEN : checkOutputLength(options.length);
+}
+
+export function checkOutputLength(length) {
+  if (!Number.isInteger(length) || length < 0) {
+    throw new RangeError(`Output length must be a non-negative integer, got ${length}`);
+  }
+  return length;
+}
@@ -0,0 +1,46 @@
+import { CHUNK_LEN } from './compress.js';
+import { HashContext } from './hash.js';
+import { hashSubtreeInto } from './subtree.js';
+
+// ============================================================================
+// PARALLEL HASHING WORKER
+// ============================================================================
+// Runs in a Web Worker (module type) or a Node worker_threads Worker. Each
+// task is one contiguous byte range split into subtrees of `subtreeBytes`;
+// the reply is their CVs, in order, as a transferable Uint32Array.
+// ============================================================================
+
+// Tasks run one at a time, so one context serves them all.
+const context = new HashContext();
+
+function runTask(task) {
+  const input = new Uint8Array(task.buffer, task.byteOffset, task.length);
+  const subtreeChunks = task.subtreeBytes / CHUNK_LEN;
+  const count = Math.ceil(task.length / task.subtreeBytes);
+  const cvs = new Uint32Array(count * 8);
+
+  for (let i = 0; i < count; i++) {
+    const start = i * task.subtreeBytes;
+    const end = Math.min(start + task.subtreeBytes, task.length);
+    hashSubtreeInto(context, input.subarray(start, end), task.chunkCounter + i * subtreeChunks,
+                    task.keyWords, task.flags, cvs, i * 8);
+  }
+  return cvs;
+}
+
+function onTask(task, reply) {
+  try {
+    const cvs = runTask(task);
+    reply({ id: task.id, cvs }, [cvs.buffer]);
+  } catch (e) {
+    reply({ id: task.id, error: String(e && e.stack || e) });
+  }
+}
+
+if (typeof process !== 'undefined' && process.versions != null && process.versions.node != null) {
+  import('node:worker_threads').then(({ parentPort }) => {
+    parentPort.on('message', (task) => onTask(task, (msg, transfer) => parentPort.postMessage(msg, transfer)));
+  });
+} else {
+  self.onmessage = (event) => onTask(event.data, (msg, transfer) => self.postMessage(msg, transfer));
+}
@@ -0,0 +1,230 @@
+import { CHUNK_LEN, IV } from './compress.js';
+import { HashContext, hash } from './hash.js';
+import { toBytes } from './input.js';
+import { getOutputLength } from './output.js';
+import { mergeSubtreeCvs } from './subtree.js';
+
+// ============================================================================
+// PARALLEL HASHING
+// ============================================================================
+// The input is cut into power-of-two-chunk subtrees, each worker hashes one
+// contiguous run of them, and the main thread merges the returned CVs. Inputs
+// backed by a SharedArrayBuffer are shared as-is; anything else is copied into
+// one transferable buffer per worker. Workers are pooled between calls.
+// ============================================================================
+
+export const IS_NODE = typeof process !== 'undefined' &&
+                process.versions != null && process.versions.node != null;
+
+const DEFAULT_MIN_PARALLEL_BYTES = 1024 * 1024;
+const SUBTREES_PER_WORKER = 4;
+
+let defaultPool = null;
+
+function release(worker) {
+  if (--worker.active === 0) worker.unref();
+}
+
+// Node workers are unref'd while idle and ref'd while they have tasks, so a
+// pending hashParallel() keeps the process alive but an idle pool does not.
+// A worker that errors or exits (a crash, a resource limit, a module that
+// failed to load) is dropped from the pool and its tasks are rejected; the
+// next start() spawns a replacement.
+class WorkerPool {
+  constructor(size) {
+    this.size = size;
+    this.workers = [];
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  async start() {
+    const WorkerClass = IS_NODE ? (await import('node:worker_threads')).Worker : Worker;
+    // No awaits past this point, so concurrent start() calls cannot overshoot.
+    while (this.workers.length < this.size) {
+      this.workers.push(this.spawn(WorkerClass));
+    }
+  }
+
+  spawn(WorkerClass) {
+    const url = new URL('./parallel-worker.js', import.meta.url);
+    if (IS_NODE) {
+      const worker = new WorkerClass(url);
+      const slot = {
+        active: 0,
+        post: (msg, transfer) => worker.postMessage(msg, transfer),
+        ref: () => worker.ref(),
+        unref: () => worker.unref(),
+        terminate: () => worker.terminate(),
+      };
+      worker.unref();
+      worker.on('message', (msg) => this.settle(msg));
+      worker.on('error', (err) => this.retire(slot, err));
+      worker.on('exit', (code) => {
+        this.retire(slot, new Error(`Parallel hashing worker exited with code ${code}`));
+      });
+      return slot;
+    }
+    const worker = new WorkerClass(url, { type: 'module' });
+    const slot = {
+      active: 0,
+      post: (msg, transfer) => worker.postMessage(msg, transfer),
+      ref: () => {},
+      unref: () => {},
+      terminate: () => worker.terminate(),
+    };
+    worker.onmessage = (event) => this.settle(event.data);
+    worker.onerror = (event) => {
+      worker.terminate();
+      this.retire(slot, new Error(event.message || 'Worker failed'));
+    };
+    return slot;
+  }
+
+  run(index, task, transfer) {
+    const worker = this.workers[index];
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, worker });
+      if (worker.active++ === 0) worker.ref();
+      worker.post({ ...task, id }, transfer);
+    });
+  }
+
+  settle(msg) {
+    const entry = this.pending.get(msg.id);
+    if (entry === undefined) return;
+    this.pending.delete(msg.id);
+    release(entry.worker);
+    if (msg.error !== undefined) {
+      entry.reject(new Error(`Parallel hashing worker failed: ${msg.error}`));
+    } else {
+      entry.resolve(msg.cvs);
+    }
+  }
+
+  retire(slot, err) {
+    const index = this.workers.indexOf(slot);
+    if (index !== -1) this.workers.splice(index, 1);
+    for (const [id, entry] of this.pending) {
+      if (entry.worker !== slot) continue;
+      this.pending.delete(id);
+      release(slot);
+      entry.reject(err);
+    }
+  }
+
+  failAll(err) {
+    for (const entry of this.pending.values()) {
+      release(entry.worker);
+      entry.reject(err);
+    }
+    this.pending.clear();
+  }
+
+  async terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    this.failAll(new Error('Worker pool terminated'));
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+async function defaultWorkerCount() {
+  if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency > 0) {
+    return navigator.hardwareConcurrency;
+  }
+  if (IS_NODE) {
+    const os = await import('node:os');
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  }
+  return 1;
+}
+
+async function getPool(size) {
+  // Only ever grows, so concurrent calls never lose workers they are using.
+  if (defaultPool === null) {
+    defaultPool = new WorkerPool(size);
+  } else if (defaultPool.size < size) {
+    defaultPool.size = size;
+  }
+  await defaultPool.start();
+  return defaultPool;
+}
+
+// Largest power-of-two subtree (in chunks) that still gives every worker
+// SUBTREES_PER_WORKER subtrees to even out uneven finishing times.
+function chooseSubtreeChunks(numChunks, workers) {
+  let chunks = 1;
+  while (chunks * 2 * workers * SUBTREES_PER_WORKER <= numChunks) chunks *= 2;
+  return chunks;
+}
+
+export async function hashParallel(data, options = {}) {
+  const input = toBytes(data);
+  const outLength = getOutputLength(options);
+  const minBytes = options.minParallelBytes === undefined
+    ? DEFAULT_MIN_PARALLEL_BYTES : options.minParallelBytes;
+  const workerCount = options.workers === undefined ? await defaultWorkerCount() : options.workers;
+
+  if (!Number.isInteger(workerCount) || workerCount < 1) {
+    throw new RangeError(`workers must be a positive integer, got ${workerCount}`);
+  }
+
+  const length = input.length;
+  const numChunks = Math.ceil(length / CHUNK_LEN);
+  if (workerCount === 1 || length < minBytes || numChunks < 2) {
+    return hash(input, { length: outLength });
+  }
+
+  const subtreeChunks = chooseSubtreeChunks(numChunks, workerCount);
+  const subtreeBytes = subtreeChunks * CHUNK_LEN;
+  const numSubtrees = Math.ceil(length / subtreeBytes);
+  const workers = Math.min(workerCount, numSubtrees);
+  const perWorker = Math.ceil(numSubtrees / workers);
+
+  const pool = await getPool(workerCount);
+  const shared = typeof SharedArrayBuffer !== 'undefined' && input.buffer instanceof SharedArrayBuffer;
+  const jobs = [];
+
+  for (let w = 0, first = 0; first < numSubtrees; w++, first += perWorker) {
+    const start = first * subtreeBytes;
+    const end = Math.min((first + perWorker) * subtreeBytes, length);
+    const task = {
+      length: end - start,
+      subtreeBytes,
+      chunkCounter: first * subtreeChunks,
+      keyWords: IV,
+      flags: 0,
+    };
+    if (shared) {
+      jobs.push(pool.run(w, { ...task, buffer: input.buffer, byteOffset: input.byteOffset + start }));
+    } else {
+      const copy = input.slice(start, end).buffer;
+      jobs.push(pool.run(w, { ...task, buffer: copy, byteOffset: 0 }, [copy]));
+    }
+  }
+
+  const results = await Promise.all(jobs);
+  const cvs = new Uint32Array(numSubtrees * 8);
+  let offset = 0;
+  for (const result of results) {
+    cvs.set(result, offset);
+    offset += result.length;
+  }
+
+  return mergeSubtreeCvs(new HashContext(), cvs, numSubtrees, IV, 0, outLength);
+}
+
+// The shared pool, for tests that need to break a worker.
+export function defaultPoolForTesting() {
+  return defaultPool;
+}
+
+export async function terminateWorkers() {
+  if (defaultPool !== null) {
+    const pool = defaultPool;
+    defaultPool = null;
+    await pool.terminate();
+  }
+}
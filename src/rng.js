@@ -0,0 +1,151 @@
+import { KEY_LEN } from './compress.js';
+import { deriveKey } from './hash.js';
+import { Hasher } from './hasher.js';
+import { toBytes } from './input.js';
+import { MAX_OUTPUT_POSITION } from './output.js';
+
+// ============================================================================
+// DETERMINISTIC RANDOM BYTES
+// ============================================================================
+// The byte stream of Blake3Rng(seed) is the extendable output of BLAKE3 in
+// keyed mode over the empty message, with the key
+//   deriveKey('blake3-ultra 2026-10 Blake3Rng seed', seedBytes)
+// where seedBytes is the seed's UTF-8 or raw bytes, or for a number its
+// 8-byte little-endian encoding. The output is produced by the root
+// compression with an incrementing counter, so any offset can be reached by
+// seek() without generating what comes before it, and the stream is the same
+// on every platform and in every version.
+//
+// All the next*() methods consume whole bytes from the stream in order:
+// nextUint32() 4 bytes (little-endian), nextFloat() 8, and nextInt() a
+// multiple of 4 or 8 depending on how often it has to reject a sample.
+// Offsets are safe integers, so reading stops 2^53 - 1 bytes in, the limit of
+// OutputReader positions.
+// ============================================================================
+
+const SEED_CONTEXT = 'blake3-ultra 2026-10 Blake3Rng seed';
+const BUFFER_LEN = 1024;
+const TWO_32 = 2 ** 32;
+const TWO_53 = 2 ** 53;
+
+function seedBytes(seed) {
+  if (typeof seed === 'number') {
+    if (!Number.isSafeInteger(seed) || seed < 0) {
+      throw new RangeError(`Numeric seed must be a non-negative safe integer, got ${seed}`);
+    }
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, seed % TWO_32, true);
+    view.setUint32(4, Math.floor(seed / TWO_32), true);
+    return bytes;
+  }
+  return toBytes(seed);
+}
+
+export class Blake3Rng {
+  constructor(seed) {
+    const key = deriveKey(SEED_CONTEXT, seedBytes(seed), KEY_LEN);
+    this._reader = Hasher.newKeyed(key).finalizeXof();
+    // Bytes of the stream read ahead; _buffer[_bufferPos.._bufferEnd] come
+    // next.
+    this._buffer = new Uint8Array(BUFFER_LEN);
+    this._bufferPos = 0;
+    this._bufferEnd = 0;
+    this._word = new Uint8Array(4);
+  }
+
+  // Offset of the next byte in the stream.
+  get position() {
+    return this._reader.position - (this._bufferEnd - this._bufferPos);
+  }
+
+  seek(offset) {
+    this._reader.seek(offset);
+    this._bufferPos = 0;
+    this._bufferEnd = 0;
+    return this;
+  }
+
+  fillBytes(out) {
+    if (!(out instanceof Uint8Array)) {
+      throw new TypeError('fillBytes() expects a Uint8Array');
+    }
+    const length = out.length;
+    if (this.position + length > MAX_OUTPUT_POSITION) {
+      throw new RangeError(`Blake3Rng stream is exhausted at offset ${MAX_OUTPUT_POSITION}`);
+    }
+    const written = Math.min(length, this._bufferEnd - this._bufferPos);
+    out.set(this._buffer.subarray(this._bufferPos, this._bufferPos + written));
+    this._bufferPos += written;
+    if (written === length) return out;
+
+    // Large requests go straight to the reader; small ones through the buffer.
+    if (length - written >= BUFFER_LEN) {
+      this._reader.fill(out.subarray(written));
+      return out;
+    }
+    this._refill();
+    const rest = length - written;
+    out.set(this._buffer.subarray(0, rest), written);
+    this._bufferPos = rest;
+    return out;
+  }
+
+  nextBytes(length) {
+    return this.fillBytes(new Uint8Array(length));
+  }
+
+  nextUint32() {
+    let b = this._buffer;
+    let i = this._bufferPos;
+    if (this._bufferEnd - i >= 4) {
+      this._bufferPos = i + 4;
+    } else {
+      b = this.fillBytes(this._word);
+      i = 0;
+    }
+    return (b[i] | b[i + 1] << 8 | b[i + 2] << 16 | b[i + 3] << 24) >>> 0;
+  }
+
+  // Uniform in [0, 1) with 53 random bits, from two nextUint32() values.
+  nextFloat() {
+    const hi = this.nextUint32() >>> 5;
+    const lo = this.nextUint32() >>> 6;
+    return (hi * 2 ** 26 + lo) / TWO_53;
+  }
+
+  // Uniform integer in [min, max) for safe integers with max - min <= 2^53.
+  // Samples from the top of the range that would make some results more
+  // likely than others are rejected and drawn again, so there is no modulo
+  // bias; fewer than half of all draws are ever rejected.
+  nextInt(min, max) {
+    if (!Number.isSafeInteger(min) || !Number.isSafeInteger(max) || min >= max) {
+      throw new RangeError(`nextInt() needs safe integers min < max, got ${min} and ${max}`);
+    }
+    const span = max - min;
+    if (span > TWO_53) {
+      throw new RangeError(`nextInt() range is limited to 2^53 values, got ${span}`);
+    }
+    if (span <= TWO_32) {
+      const limit = TWO_32 - TWO_32 % span;
+      for (;;) {
+        const x = this.nextUint32();
+        if (x < limit) return min + x % span;
+      }
+    }
+    const limit = TWO_53 - TWO_53 % span;
+    for (;;) {
+      const x = (this.nextUint32() >>> 11) * TWO_32 + this.nextUint32();
+      if (x < limit) return min + x % span;
+    }
+  }
+
+  // Stops short at the end of the stream; fillBytes() has already checked
+  // that what it needs is there.
+  _refill() {
+    const length = Math.min(BUFFER_LEN, MAX_OUTPUT_POSITION - this._reader.position);
+    this._reader.fill(this._buffer.subarray(0, length));
+    this._bufferPos = 0;
+    this._bufferEnd = length;
+  }
+}
@@ -0,0 +1,151 @@
+import { IS_LITTLE_ENDIAN, OUT_LEN } from './compress.js';
+import { getBackend, requestedBackend, setBackend, simdAvailable } from './backend.js';
+import { deriveKey, hash, hashInto, keyedHash } from './hash.js';
+import { Hasher } from './hasher.js';
+import { IS_NODE } from './parallel.js';
+
+// ============================================================================
+// SELF-TEST AND CAPABILITIES
+// ============================================================================
+// selfTest() runs known-answer tests from the official vectors through every
+// backend this engine can use, in all three modes, along each input path: the
+// one-shot functions on aligned input (zero-copy on little-endian hosts),
+// hashInto(), and a Hasher fed a misaligned copy in uneven pieces (the
+// byte-wise path). The inputs are one block, two chunks, and 100 chunks (the
+// tree and, with WASM, its SIMD batches); the expected values are the first 80
+// bytes of output, so the second XOF block is covered too.
+//
+// It takes tens of milliseconds on a cold start and leaves the selected
+// backend as it was. The 'blake3-ultra/fail-closed' entry point runs it on
+// import and throws if anything disagrees.
+// ============================================================================
+
+const KAT_KEY = 'whats the Elvish word for friend';
+const KAT_CONTEXT = 'BLAKE3 2019-12-27 16:29:52 test vectors context';
+const KAT_OUT_LEN = 80;
+
+const KNOWN_ANSWERS = [
+  {
+    length: 1,
+    hash: '2d3adedff11b61f14c886e35afa036736dcd87a74d27b5c1510225d0f592e213c3a6cb8bf623e20cdb535f8d1a5ffb86342d9c0b64aca3bce1d31f60adfa137b358ad4d79f97b47c3d5e79f179df87a3',
+    keyed: '6d7878dfff2f485635d39013278ae14f1454b8c0a3a2d34bc1ab38228a80c95b6568c0490609413006fbd428eb3fd14e7756d90f73a4725fad147f7bf70fd61c4e0cf7074885e92b0e3f125978b41549',
+    derive: 'b3e2e340a117a499c6cf2398a19ee0d29cca2bb7404c73063382693bf66cb06c5827b91bf889b6b97c5477f535361caefca0b5d8c4746441c57617111933158950670f9aa8a05d791daae10ac683cbef',
+  },
+  {
+    length: 1025,
+    hash: 'd00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444f4c4a22b4b399155358a994e52bf255de60035742ec71bd08ac275a1b51cc6bfe332b0ef84b409108cda080e6269ed4b',
+    keyed: '357dc55de0c7e382c900fd6e320acc04146be01db6a8ce7210b7189bd664ea69362396b77fdc0d2634a552970843722066c3c15902ae5097e00ff53f1e116f1cd5352720113a837ab2452cafbde4d540',
+    derive: 'effaa245f065fbf82ac186839a249707c3bddf6d3fdda22d1b95a3c970379bcb5d31013a167509e9066273ab6e2123bc835b408b067d88f96addb550d96b6852dad38e320b9d940f86db74d398c770f4',
+  },
+  {
+    length: 102400,
+    hash: 'bc3e3d41a1146b069abffad3c0d44860cf664390afce4d9661f7902e7943e085e01c59dab908c04c3342b816941a26d69c2605ebee5ec5291cc55e15b76146e6745f0601156c3596cb75065a9c57f355',
+    keyed: '1c35d1a5811083fd7119f5d5d1ba027b4d01c0c6c49fb6ff2cf75393ea5db4a7f9dbdd3e1d81dcbca3ba241bb18760f207710b751846faaeb9dff8262710999a59b2aa1aca298a032d94eacfadf1aa19',
+    derive: '4652cff7a3f385a6103b5c260fc1593e13c778dbe608efb092fe7ee69df6e9c6d83a3e041bc3a48df2879f4a0a3ed40e7c961c73eff740f3117a0504c2dff4786d44fb17f1549eb0ba585e40ec29bf77',
+  },
+];
+
+// Local helpers rather than encoding.js, so a broken encoder cannot make a
+// broken hash look right.
+function katInput(length, offset) {
+  const bytes = new Uint8Array(length + offset).subarray(offset);
+  for (let i = 0; i < length; i++) bytes[i] = i % 251;
+  return bytes;
+}
+
+function hexOf(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i++) s += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+  return s;
+}
+
+function newHasher(mode, key) {
+  if (mode === 'keyed') return Hasher.newKeyed(key);
+  if (mode === 'derive') return Hasher.newDeriveKey(KAT_CONTEXT);
+  return new Hasher();
+}
+
+function oneShot(mode, key, input) {
+  if (mode === 'keyed') return keyedHash(key, input, { length: KAT_OUT_LEN });
+  if (mode === 'derive') return deriveKey(KAT_CONTEXT, input, KAT_OUT_LEN);
+  return hash(input, { length: KAT_OUT_LEN });
+}
+
+function runChecks(backend, failures) {
+  const key = new TextEncoder().encode(KAT_KEY);
+  let checks = 0;
+  const check = (name, actual, expected) => {
+    checks++;
+    if (actual !== expected) failures.push(`${backend}: ${name}`);
+  };
+
+  for (const kat of KNOWN_ANSWERS) {
+    const aligned = katInput(kat.length, 0);
+    const misaligned = katInput(kat.length, 1);
+    for (const mode of ['hash', 'keyed', 'derive']) {
+      const expected = kat[mode];
+      const label = `${mode} of ${kat.length} bytes`;
+      check(`${label}, one-shot`, hexOf(oneShot(mode, key, aligned)), expected);
+
+      const hasher = newHasher(mode, key);
+      for (let i = 0, step = 7; i < kat.length; i += step, step = step * 5 % 3001 + 1) {
+        hasher.update(misaligned.subarray(i, i + step));
+      }
+      check(`${label}, streamed`, hexOf(hasher.finalize(KAT_OUT_LEN)), expected);
+    }
+    const out = new Uint8Array(OUT_LEN + 3);
+    hashInto(aligned, out, 3);
+    check(`hashInto() of ${kat.length} bytes`, hexOf(out.subarray(3)), kat.hash.slice(0, 2 * OUT_LEN));
+  }
+  return checks;
+}
+
+// Returns { ok, backends, checks, failures }: the backends exercised, the
+// number of comparisons made and a description of each one that failed. An
+// exception from the library counts as a failure too.
+export function selfTest() {
+  const previous = requestedBackend();
+  const backends = simdAvailable() ? ['js', 'wasm'] : ['js'];
+  const failures = [];
+  let checks = 0;
+  try {
+    for (const backend of backends) {
+      setBackend(backend);
+      try {
+        checks += runChecks(backend, failures);
+      } catch (err) {
+        failures.push(`${backend}: threw ${err && err.message}`);
+      }
+    }
+  } finally {
+    setBackend(previous);
+  }
+  return { ok: failures.length === 0, backends, checks, failures };
+}
+
+// Throws if selfTest() finds any problem.
+export function assertSelfTest() {
+  const result = selfTest();
+  if (!result.ok) {
+    throw new Error(`BLAKE3 self-test failed, refusing to hash: ${result.failures.join('; ')}`);
+  }
+  return result;
+}
+
+// What this engine offers and what the library will use.
+export function capabilities() {
+  const isolated = typeof globalThis.crossOriginIsolated === 'boolean' ? globalThis.crossOriginIsolated : true;
+  return {
+    littleEndian: IS_LITTLE_ENDIAN,
+    // Aligned input is read as Uint32 words in place (only on little-endian
+    // hosts); other input is assembled byte by byte.
+    zeroCopy: IS_LITTLE_ENDIAN,
+    wasmSimd: simdAvailable(),
+    backend: getBackend(),
+    workers: IS_NODE || typeof Worker === 'function',
+    // Browsers only expose SharedArrayBuffer to cross-origin isolated pages.
+    sharedArrayBuffer: typeof SharedArrayBuffer === 'function' && isolated,
+    runtime: IS_NODE ? `node ${process.versions.node}`
+      : typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown',
+  };
+}
@@ -0,0 +1,47 @@
+// Generated by scripts/build-wasm.js from src/simd.wat - do not edit.
+export const SIMD_WASM_BASE64 =
+  'AGFzbQEAAAABEANgAAF/YAJ/fwBgA39/fwADBgUAAAABAgUDAQACBhsEfwBBAAt/AEGAgAQLfwBB' +
+  'wIAEC38AQcCCBAsHOAUGbWVtb3J5AgAJaW5wdXRfcHRyAAAHa2V5X3B0cgABB291dF9wdHIAAgto' +
+  'YXNoX2NodW5rcwAECs4SBQQAIwALBAAjAQsEACMDC6cCAgN/CHsgACABQQZ0aiEDIwIhBANAIAP9' +
+  'AAQAIQUgA/0ABIAIIQYgA/0ABIAQIQcgA/0ABIAYIQggBSAG/Q0AAQIDEBESEwQFBgcUFRYXIQkg' +
+  'BSAG/Q0ICQoLGBkaGwwNDg8cHR4fIQogByAI/Q0AAQIDEBESEwQFBgcUFRYXIQsgByAI/Q0ICQoL' +
+  'GBkaGwwNDg8cHR4fIQwgBCAJIAv9DQABAgMEBQYHEBESExQVFhf9CwQAIAQgCSAL/Q0ICQoLDA0O' +
+  'DxgZGhscHR4f/QsEECAEIAogDP0NAAECAwQFBgcQERITFBUWF/0LBCAgBCAKIAz9DQgJCgsMDQ4P' +
+  'GBkaGxwdHh/9CwQwIANBEGohAyAEQcAAaiEEIAJBAWohAiACQQRJDQALC5MQAgZ/OXsjACEEIwMh' +
+  'BQNAIwEoAgD9ESEKIwEoAgT9ESELIwEoAgj9ESEMIwEoAgz9ESENIwEoAhD9ESEOIwEoAhT9ESEP' +
+  'IwEoAhj9ESEQIwEoAhz9ESERQQAhBgNAIAQgBhADIwL9AAQAISIjAv0ABBAhIyMC/QAEICEkIwL9' +
+  'AAQwISUjAv0ABEAhJiMC/QAEUCEnIwL9AARgISgjAv0ABHAhKSMC/QAEgAEhKiMC/QAEkAEhKyMC' +
+  '/QAEoAEhLCMC/QAEsAEhLSMC/QAEwAEhLiMC/QAE0AEhLyMC/QAE4AEhMCMC/QAE8AEhMSACIAZF' +
+  'IAZBD0ZBAXRyciEHIAohEiALIRMgDCEUIA0hFSAOIRYgDyEXIBAhGCARIRn9DGfmCWpn5glqZ+YJ' +
+  'amfmCWohGv0Mha5nu4WuZ7uFrme7ha5nuyEb/Qxy8248cvNuPHLzbjxy8248IRz9DDr1T6U69U+l' +
+  'OvVPpTr1T6UhHSAB/RH9DAAAAAABAAAAAgAAAAMAAAD9rgEhHv0MAAAAAAAAAAAAAAAAAAAAACEf' +
+  '/QxAAAAAQAAAAEAAAABAAAAAISAgB/0RISFBACEIA0AgEiAW/a4BICL9rgEhEiAeIBL9USEJIAkg' +
+  'Cf0NAgMAAQYHBAUKCwgJDg8MDSEeIBogHv2uASEaIBYgGv1RIQkgCUEM/a0BIAlBFP2rAf1QIRYg' +
+  'EiAW/a4BICP9rgEhEiAeIBL9USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEeIBogHv2uASEaIBYg' +
+  'Gv1RIQkgCUEH/a0BIAlBGf2rAf1QIRYgEyAX/a4BICT9rgEhEyAfIBP9USEJIAkgCf0NAgMAAQYH' +
+  'BAUKCwgJDg8MDSEfIBsgH/2uASEbIBcgG/1RIQkgCUEM/a0BIAlBFP2rAf1QIRcgEyAX/a4BICX9' +
+  'rgEhEyAfIBP9USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEfIBsgH/2uASEbIBcgG/1RIQkgCUEH' +
+  '/a0BIAlBGf2rAf1QIRcgFCAY/a4BICb9rgEhFCAgIBT9USEJIAkgCf0NAgMAAQYHBAUKCwgJDg8M' +
+  'DSEgIBwgIP2uASEcIBggHP1RIQkgCUEM/a0BIAlBFP2rAf1QIRggFCAY/a4BICf9rgEhFCAgIBT9' +
+  'USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEgIBwgIP2uASEcIBggHP1RIQkgCUEH/a0BIAlBGf2r' +
+  'Af1QIRggFSAZ/a4BICj9rgEhFSAhIBX9USEJIAkgCf0NAgMAAQYHBAUKCwgJDg8MDSEhIB0gIf2u' +
+  'ASEdIBkgHf1RIQkgCUEM/a0BIAlBFP2rAf1QIRkgFSAZ/a4BICn9rgEhFSAhIBX9USEJIAkgCf0N' +
+  'AQIDAAUGBwQJCgsIDQ4PDCEhIB0gIf2uASEdIBkgHf1RIQkgCUEH/a0BIAlBGf2rAf1QIRkgEiAX' +
+  '/a4BICr9rgEhEiAhIBL9USEJIAkgCf0NAgMAAQYHBAUKCwgJDg8MDSEhIBwgIf2uASEcIBcgHP1R' +
+  'IQkgCUEM/a0BIAlBFP2rAf1QIRcgEiAX/a4BICv9rgEhEiAhIBL9USEJIAkgCf0NAQIDAAUGBwQJ' +
+  'CgsIDQ4PDCEhIBwgIf2uASEcIBcgHP1RIQkgCUEH/a0BIAlBGf2rAf1QIRcgEyAY/a4BICz9rgEh' +
+  'EyAeIBP9USEJIAkgCf0NAgMAAQYHBAUKCwgJDg8MDSEeIB0gHv2uASEdIBggHf1RIQkgCUEM/a0B' +
+  'IAlBFP2rAf1QIRggEyAY/a4BIC39rgEhEyAeIBP9USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEe' +
+  'IB0gHv2uASEdIBggHf1RIQkgCUEH/a0BIAlBGf2rAf1QIRggFCAZ/a4BIC79rgEhFCAfIBT9USEJ' +
+  'IAkgCf0NAgMAAQYHBAUKCwgJDg8MDSEfIBogH/2uASEaIBkgGv1RIQkgCUEM/a0BIAlBFP2rAf1Q' +
+  'IRkgFCAZ/a4BIC/9rgEhFCAfIBT9USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEfIBogH/2uASEa' +
+  'IBkgGv1RIQkgCUEH/a0BIAlBGf2rAf1QIRkgFSAW/a4BIDD9rgEhFSAgIBX9USEJIAkgCf0NAgMA' +
+  'AQYHBAUKCwgJDg8MDSEgIBsgIP2uASEbIBYgG/1RIQkgCUEM/a0BIAlBFP2rAf1QIRYgFSAW/a4B' +
+  'IDH9rgEhFSAgIBX9USEJIAkgCf0NAQIDAAUGBwQJCgsIDQ4PDCEgIBsgIP2uASEbIBYgG/1RIQkg' +
+  'CUEH/a0BIAlBGf2rAf1QIRYgCEEBaiEIIAhBB0kEQCAkITIgKCEzICUhNCAsITUgKSE2ICIhNyAm' +
+  'ITggLyE5ICMhOiAtITsgLiE8ICchPSArIT4gMCE/IDEhQCAqIUEgMiEiIDMhIyA0ISQgNSElIDYh' +
+  'JiA3IScgOCEoIDkhKSA6ISogOyErIDwhLCA9IS0gPiEuID8hLyBAITAgQSExDAELCyASIBr9USEK' +
+  'IBMgG/1RIQsgFCAc/VEhDCAVIB39USENIBYgHv1RIQ4gFyAf/VEhDyAYICD9USEQIBkgIf1RIREg' +
+  'BkEBaiEGIAZBEEkNAAsgBSAK/QsEACAFIAv9CwQQIAUgDP0LBCAgBSAN/QsEMCAFIA79CwRAIAUg' +
+  'D/0LBFAgBSAQ/QsEYCAFIBH9CwRwIAFBBGohASAEQYAgaiEEIAVBgAFqIQUgA0EBaiEDIAMgAEkN' +
+  'AAsL';
@@ -0,0 +1,303 @@
+;; ============================================================================
+;; BLAKE3 WASM SIMD128 BACKEND
+;; ============================================================================
+;; Hashes 4 whole chunks at once, one chunk per i32x4 lane ("hash_many" style):
+;; state word i of all four chunks lives in one v128, so each G function works
+;; on four independent compressions. Only full 1024-byte chunks are handled
+;; here; partial chunks, parent nodes and the root stay on the JS path.
+;;
+;; Memory layout (2 pages):
+;;   INPUT_PTR  0      up to 64 chunks, chunk n at INPUT_PTR + n * 1024
+;;   KEY_PTR    65536  8 key words (IV or keyed/derive key)
+;;   MSG_PTR    65600  16 transposed message vectors for the current block
+;;   OUT_PTR    65856  per group of 4 chunks: 8 vectors, vector i holds word i
+;;                     of the 4 chunk CVs (group g at OUT_PTR + g * 128)
+;;
+;; Rebuild the embedded module after editing: npm run build:wasm
+;; ============================================================================
+(module
+  (memory (export "memory") 2)
+
+  (global $INPUT_PTR i32 (i32.const 0))
+  (global $KEY_PTR i32 (i32.const 65536))
+  (global $MSG_PTR i32 (i32.const 65600))
+  (global $OUT_PTR i32 (i32.const 65856))
+
+  (func (export "input_ptr") (result i32) (global.get $INPUT_PTR))
+  (func (export "key_ptr") (result i32) (global.get $KEY_PTR))
+  (func (export "out_ptr") (result i32) (global.get $OUT_PTR))
+
+  ;; Transposes block `block` of the 4 chunks starting at `group_ptr` into
+  ;; MSG_PTR, so that message vector j holds word j of each chunk.
+  (func $load_message (param $group_ptr i32) (param $block i32)
+    (local $k i32) (local $src i32) (local $dst i32)
+    (local $a0 v128) (local $a1 v128) (local $a2 v128) (local $a3 v128)
+    (local $t0 v128) (local $t1 v128) (local $t2 v128) (local $t3 v128)
+    (local.set $src (i32.add (local.get $group_ptr) (i32.shl (local.get $block) (i32.const 6))))
+    (local.set $dst (global.get $MSG_PTR))
+    (loop $words
+      (local.set $a0 (v128.load offset=0 (local.get $src)))
+      (local.set $a1 (v128.load offset=1024 (local.get $src)))
+      (local.set $a2 (v128.load offset=2048 (local.get $src)))
+      (local.set $a3 (v128.load offset=3072 (local.get $src)))
+      ;; 4x4 transpose of 32-bit lanes
+      (local.set $t0 (i8x16.shuffle 0 1 2 3 16 17 18 19 4 5 6 7 20 21 22 23 (local.get $a0) (local.get $a1)))
+      (local.set $t1 (i8x16.shuffle 8 9 10 11 24 25 26 27 12 13 14 15 28 29 30 31 (local.get $a0) (local.get $a1)))
+      (local.set $t2 (i8x16.shuffle 0 1 2 3 16 17 18 19 4 5 6 7 20 21 22 23 (local.get $a2) (local.get $a3)))
+      (local.set $t3 (i8x16.shuffle 8 9 10 11 24 25 26 27 12 13 14 15 28 29 30 31 (local.get $a2) (local.get $a3)))
+      (v128.store offset=0 (local.get $dst) (i8x16.shuffle 0 1 2 3 4 5 6 7 16 17 18 19 20 21 22 23 (local.get $t0) (local.get $t2)))
+      (v128.store offset=16 (local.get $dst) (i8x16.shuffle 8 9 10 11 12 13 14 15 24 25 26 27 28 29 30 31 (local.get $t0) (local.get $t2)))
+      (v128.store offset=32 (local.get $dst) (i8x16.shuffle 0 1 2 3 4 5 6 7 16 17 18 19 20 21 22 23 (local.get $t1) (local.get $t3)))
+      (v128.store offset=48 (local.get $dst) (i8x16.shuffle 8 9 10 11 12 13 14 15 24 25 26 27 28 29 30 31 (local.get $t1) (local.get $t3)))
+      (local.set $src (i32.add (local.get $src) (i32.const 16)))
+      (local.set $dst (i32.add (local.get $dst) (i32.const 64)))
+      (local.set $k (i32.add (local.get $k) (i32.const 1)))
+      (br_if $words (i32.lt_u (local.get $k) (i32.const 4)))))
+
+  ;; Hashes `groups` (>= 1, <= 16) groups of 4 full chunks from INPUT_PTR. The first chunk has
+  ;; chunk counter `counter`; `flags` is OR'd into every block (KEYED_HASH etc).
+  ;; Chaining values are written to OUT_PTR.
+  (func (export "hash_chunks") (param $groups i32) (param $counter i32) (param $flags i32)
+    (local $group i32) (local $group_ptr i32) (local $out i32)
+    (local $block i32) (local $block_flags i32) (local $round i32)
+    (local $x v128)
+    (local $cv0 v128) (local $cv1 v128) (local $cv2 v128) (local $cv3 v128)
+    (local $cv4 v128) (local $cv5 v128) (local $cv6 v128) (local $cv7 v128)
+    (local $s0 v128) (local $s1 v128) (local $s2 v128) (local $s3 v128)
+    (local $s4 v128) (local $s5 v128) (local $s6 v128) (local $s7 v128)
+    (local $s8 v128) (local $s9 v128) (local $s10 v128) (local $s11 v128)
+    (local $s12 v128) (local $s13 v128) (local $s14 v128) (local $s15 v128)
+    (local $m0 v128) (local $m1 v128) (local $m2 v128) (local $m3 v128)
+    (local $m4 v128) (local $m5 v128) (local $m6 v128) (local $m7 v128)
+    (local $m8 v128) (local $m9 v128) (local $m10 v128) (local $m11 v128)
+    (local $m12 v128) (local $m13 v128) (local $m14 v128) (local $m15 v128)
+    (local $t0 v128) (local $t1 v128) (local $t2 v128) (local $t3 v128)
+    (local $t4 v128) (local $t5 v128) (local $t6 v128) (local $t7 v128)
+    (local $t8 v128) (local $t9 v128) (local $t10 v128) (local $t11 v128)
+    (local $t12 v128) (local $t13 v128) (local $t14 v128) (local $t15 v128)
+    (local.set $group_ptr (global.get $INPUT_PTR))
+    (local.set $out (global.get $OUT_PTR))
+
+    (loop $groups_loop
+      (local.set $cv0 (i32x4.splat (i32.load offset=0 (global.get $KEY_PTR))))
+      (local.set $cv1 (i32x4.splat (i32.load offset=4 (global.get $KEY_PTR))))
+      (local.set $cv2 (i32x4.splat (i32.load offset=8 (global.get $KEY_PTR))))
+      (local.set $cv3 (i32x4.splat (i32.load offset=12 (global.get $KEY_PTR))))
+      (local.set $cv4 (i32x4.splat (i32.load offset=16 (global.get $KEY_PTR))))
+      (local.set $cv5 (i32x4.splat (i32.load offset=20 (global.get $KEY_PTR))))
+      (local.set $cv6 (i32x4.splat (i32.load offset=24 (global.get $KEY_PTR))))
+      (local.set $cv7 (i32x4.splat (i32.load offset=28 (global.get $KEY_PTR))))
+      (local.set $block (i32.const 0))
+
+      (loop $blocks
+        (call $load_message (local.get $group_ptr) (local.get $block))
+        (local.set $m0 (v128.load offset=0 (global.get $MSG_PTR)))
+        (local.set $m1 (v128.load offset=16 (global.get $MSG_PTR)))
+        (local.set $m2 (v128.load offset=32 (global.get $MSG_PTR)))
+        (local.set $m3 (v128.load offset=48 (global.get $MSG_PTR)))
+        (local.set $m4 (v128.load offset=64 (global.get $MSG_PTR)))
+        (local.set $m5 (v128.load offset=80 (global.get $MSG_PTR)))
+        (local.set $m6 (v128.load offset=96 (global.get $MSG_PTR)))
+        (local.set $m7 (v128.load offset=112 (global.get $MSG_PTR)))
+        (local.set $m8 (v128.load offset=128 (global.get $MSG_PTR)))
+        (local.set $m9 (v128.load offset=144 (global.get $MSG_PTR)))
+        (local.set $m10 (v128.load offset=160 (global.get $MSG_PTR)))
+        (local.set $m11 (v128.load offset=176 (global.get $MSG_PTR)))
+        (local.set $m12 (v128.load offset=192 (global.get $MSG_PTR)))
+        (local.set $m13 (v128.load offset=208 (global.get $MSG_PTR)))
+        (local.set $m14 (v128.load offset=224 (global.get $MSG_PTR)))
+        (local.set $m15 (v128.load offset=240 (global.get $MSG_PTR)))
+
+        ;; CHUNK_START = 1 on the first block, CHUNK_END = 2 on the last
+        (local.set $block_flags (i32.or (local.get $flags)
+          (i32.or (i32.eqz (local.get $block))
+                  (i32.shl (i32.eq (local.get $block) (i32.const 15)) (i32.const 1)))))
+
+        (local.set $s0 (local.get $cv0))
+        (local.set $s1 (local.get $cv1))
+        (local.set $s2 (local.get $cv2))
+        (local.set $s3 (local.get $cv3))
+        (local.set $s4 (local.get $cv4))
+        (local.set $s5 (local.get $cv5))
+        (local.set $s6 (local.get $cv6))
+        (local.set $s7 (local.get $cv7))
+        (local.set $s8 (v128.const i32x4 0x6a09e667 0x6a09e667 0x6a09e667 0x6a09e667))
+        (local.set $s9 (v128.const i32x4 0xbb67ae85 0xbb67ae85 0xbb67ae85 0xbb67ae85))
+        (local.set $s10 (v128.const i32x4 0x3c6ef372 0x3c6ef372 0x3c6ef372 0x3c6ef372))
+        (local.set $s11 (v128.const i32x4 0xa54ff53a 0xa54ff53a 0xa54ff53a 0xa54ff53a))
+        (local.set $s12 (i32x4.add (i32x4.splat (local.get $counter)) (v128.const i32x4 0 1 2 3)))
+        (local.set $s13 (v128.const i32x4 0 0 0 0))
+        (local.set $s14 (v128.const i32x4 64 64 64 64))
+        (local.set $s15 (i32x4.splat (local.get $block_flags)))
+
+        (local.set $round (i32.const 0))
+        (loop $rounds
+          ;; column 0
+          (local.set $s0 (i32x4.add (i32x4.add (local.get $s0) (local.get $s4)) (local.get $m0)))
+          (local.set $x (v128.xor (local.get $s12) (local.get $s0)))
+          (local.set $s12 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s8 (i32x4.add (local.get $s8) (local.get $s12)))
+          (local.set $x (v128.xor (local.get $s4) (local.get $s8)))
+          (local.set $s4 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s0 (i32x4.add (i32x4.add (local.get $s0) (local.get $s4)) (local.get $m1)))
+          (local.set $x (v128.xor (local.get $s12) (local.get $s0)))
+          (local.set $s12 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s8 (i32x4.add (local.get $s8) (local.get $s12)))
+          (local.set $x (v128.xor (local.get $s4) (local.get $s8)))
+          (local.set $s4 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; column 1
+          (local.set $s1 (i32x4.add (i32x4.add (local.get $s1) (local.get $s5)) (local.get $m2)))
+          (local.set $x (v128.xor (local.get $s13) (local.get $s1)))
+          (local.set $s13 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s9 (i32x4.add (local.get $s9) (local.get $s13)))
+          (local.set $x (v128.xor (local.get $s5) (local.get $s9)))
+          (local.set $s5 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s1 (i32x4.add (i32x4.add (local.get $s1) (local.get $s5)) (local.get $m3)))
+          (local.set $x (v128.xor (local.get $s13) (local.get $s1)))
+          (local.set $s13 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s9 (i32x4.add (local.get $s9) (local.get $s13)))
+          (local.set $x (v128.xor (local.get $s5) (local.get $s9)))
+          (local.set $s5 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; column 2
+          (local.set $s2 (i32x4.add (i32x4.add (local.get $s2) (local.get $s6)) (local.get $m4)))
+          (local.set $x (v128.xor (local.get $s14) (local.get $s2)))
+          (local.set $s14 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s10 (i32x4.add (local.get $s10) (local.get $s14)))
+          (local.set $x (v128.xor (local.get $s6) (local.get $s10)))
+          (local.set $s6 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s2 (i32x4.add (i32x4.add (local.get $s2) (local.get $s6)) (local.get $m5)))
+          (local.set $x (v128.xor (local.get $s14) (local.get $s2)))
+          (local.set $s14 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s10 (i32x4.add (local.get $s10) (local.get $s14)))
+          (local.set $x (v128.xor (local.get $s6) (local.get $s10)))
+          (local.set $s6 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; column 3
+          (local.set $s3 (i32x4.add (i32x4.add (local.get $s3) (local.get $s7)) (local.get $m6)))
+          (local.set $x (v128.xor (local.get $s15) (local.get $s3)))
+          (local.set $s15 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s11 (i32x4.add (local.get $s11) (local.get $s15)))
+          (local.set $x (v128.xor (local.get $s7) (local.get $s11)))
+          (local.set $s7 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s3 (i32x4.add (i32x4.add (local.get $s3) (local.get $s7)) (local.get $m7)))
+          (local.set $x (v128.xor (local.get $s15) (local.get $s3)))
+          (local.set $s15 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s11 (i32x4.add (local.get $s11) (local.get $s15)))
+          (local.set $x (v128.xor (local.get $s7) (local.get $s11)))
+          (local.set $s7 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; diagonal 0
+          (local.set $s0 (i32x4.add (i32x4.add (local.get $s0) (local.get $s5)) (local.get $m8)))
+          (local.set $x (v128.xor (local.get $s15) (local.get $s0)))
+          (local.set $s15 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s10 (i32x4.add (local.get $s10) (local.get $s15)))
+          (local.set $x (v128.xor (local.get $s5) (local.get $s10)))
+          (local.set $s5 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s0 (i32x4.add (i32x4.add (local.get $s0) (local.get $s5)) (local.get $m9)))
+          (local.set $x (v128.xor (local.get $s15) (local.get $s0)))
+          (local.set $s15 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s10 (i32x4.add (local.get $s10) (local.get $s15)))
+          (local.set $x (v128.xor (local.get $s5) (local.get $s10)))
+          (local.set $s5 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; diagonal 1
+          (local.set $s1 (i32x4.add (i32x4.add (local.get $s1) (local.get $s6)) (local.get $m10)))
+          (local.set $x (v128.xor (local.get $s12) (local.get $s1)))
+          (local.set $s12 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s11 (i32x4.add (local.get $s11) (local.get $s12)))
+          (local.set $x (v128.xor (local.get $s6) (local.get $s11)))
+          (local.set $s6 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s1 (i32x4.add (i32x4.add (local.get $s1) (local.get $s6)) (local.get $m11)))
+          (local.set $x (v128.xor (local.get $s12) (local.get $s1)))
+          (local.set $s12 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s11 (i32x4.add (local.get $s11) (local.get $s12)))
+          (local.set $x (v128.xor (local.get $s6) (local.get $s11)))
+          (local.set $s6 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; diagonal 2
+          (local.set $s2 (i32x4.add (i32x4.add (local.get $s2) (local.get $s7)) (local.get $m12)))
+          (local.set $x (v128.xor (local.get $s13) (local.get $s2)))
+          (local.set $s13 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s8 (i32x4.add (local.get $s8) (local.get $s13)))
+          (local.set $x (v128.xor (local.get $s7) (local.get $s8)))
+          (local.set $s7 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s2 (i32x4.add (i32x4.add (local.get $s2) (local.get $s7)) (local.get $m13)))
+          (local.set $x (v128.xor (local.get $s13) (local.get $s2)))
+          (local.set $s13 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s8 (i32x4.add (local.get $s8) (local.get $s13)))
+          (local.set $x (v128.xor (local.get $s7) (local.get $s8)))
+          (local.set $s7 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+          ;; diagonal 3
+          (local.set $s3 (i32x4.add (i32x4.add (local.get $s3) (local.get $s4)) (local.get $m14)))
+          (local.set $x (v128.xor (local.get $s14) (local.get $s3)))
+          (local.set $s14 (i8x16.shuffle 2 3 0 1 6 7 4 5 10 11 8 9 14 15 12 13 (local.get $x) (local.get $x)))
+          (local.set $s9 (i32x4.add (local.get $s9) (local.get $s14)))
+          (local.set $x (v128.xor (local.get $s4) (local.get $s9)))
+          (local.set $s4 (v128.or (i32x4.shr_u (local.get $x) (i32.const 12)) (i32x4.shl (local.get $x) (i32.const 20))))
+          (local.set $s3 (i32x4.add (i32x4.add (local.get $s3) (local.get $s4)) (local.get $m15)))
+          (local.set $x (v128.xor (local.get $s14) (local.get $s3)))
+          (local.set $s14 (i8x16.shuffle 1 2 3 0 5 6 7 4 9 10 11 8 13 14 15 12 (local.get $x) (local.get $x)))
+          (local.set $s9 (i32x4.add (local.get $s9) (local.get $s14)))
+          (local.set $x (v128.xor (local.get $s4) (local.get $s9)))
+          (local.set $s4 (v128.or (i32x4.shr_u (local.get $x) (i32.const 7)) (i32x4.shl (local.get $x) (i32.const 25))))
+
+          ;; Permute the message for the next round
+          (local.set $round (i32.add (local.get $round) (i32.const 1)))
+          (if (i32.lt_u (local.get $round) (i32.const 7))
+            (then
+              (local.set $t0 (local.get $m2))
+              (local.set $t1 (local.get $m6))
+              (local.set $t2 (local.get $m3))
+              (local.set $t3 (local.get $m10))
+              (local.set $t4 (local.get $m7))
+              (local.set $t5 (local.get $m0))
+              (local.set $t6 (local.get $m4))
+              (local.set $t7 (local.get $m13))
+              (local.set $t8 (local.get $m1))
+              (local.set $t9 (local.get $m11))
+              (local.set $t10 (local.get $m12))
+              (local.set $t11 (local.get $m5))
+              (local.set $t12 (local.get $m9))
+              (local.set $t13 (local.get $m14))
+              (local.set $t14 (local.get $m15))
+              (local.set $t15 (local.get $m8))
+              (local.set $m0 (local.get $t0))
+              (local.set $m1 (local.get $t1))
+              (local.set $m2 (local.get $t2))
+              (local.set $m3 (local.get $t3))
+              (local.set $m4 (local.get $t4))
+              (local.set $m5 (local.get $t5))
+              (local.set $m6 (local.get $t6))
+              (local.set $m7 (local.get $t7))
+              (local.set $m8 (local.get $t8))
+              (local.set $m9 (local.get $t9))
+              (local.set $m10 (local.get $t10))
+              (local.set $m11 (local.get $t11))
+              (local.set $m12 (local.get $t12))
+              (local.set $m13 (local.get $t13))
+              (local.set $m14 (local.get $t14))
+              (local.set $m15 (local.get $t15))
+              (br $rounds))))
+
+        (local.set $cv0 (v128.xor (local.get $s0) (local.get $s8)))
+        (local.set $cv1 (v128.xor (local.get $s1) (local.get $s9)))
+        (local.set $cv2 (v128.xor (local.get $s2) (local.get $s10)))
+        (local.set $cv3 (v128.xor (local.get $s3) (local.get $s11)))
+        (local.set $cv4 (v128.xor (local.get $s4) (local.get $s12)))
+        (local.set $cv5 (v128.xor (local.get $s5) (local.get $s13)))
+        (local.set $cv6 (v128.xor (local.get $s6) (local.get $s14)))
+        (local.set $cv7 (v128.xor (local.get $s7) (local.get $s15)))
+
+        (local.set $block (i32.add (local.get $block) (i32.const 1)))
+        (br_if $blocks (i32.lt_u (local.get $block) (i32.const 16))))
+
+      (v128.store offset=0 (local.get $out) (local.get $cv0))
+      (v128.store offset=16 (local.get $out) (local.get $cv1))
+      (v128.store offset=32 (local.get $out) (local.get $cv2))
+      (v128.store offset=48 (local.get $out) (local.get $cv3))
+      (v128.store offset=64 (local.get $out) (local.get $cv4))
+      (v128.store offset=80 (local.get $out) (local.get $cv5))
+      (v128.store offset=96 (local.get $out) (local.get $cv6))
+      (v128.store offset=112 (local.get $out) (local.get $cv7))
+
+      (local.set $counter (i32.add (local.get $counter) (i32.const 4)))
+      (local.set $group_ptr (i32.add (local.get $group_ptr) (i32.const 4096)))
+      (local.set $out (i32.add (local.get $out) (i32.const 128)))
+      (local.set $group (i32.add (local.get $group) (i32.const 1)))
+      (br_if $groups_loop (i32.lt_u (local.get $group) (local.get $groups))))))
@@ -0,0 +1,177 @@
+import { Hasher } from './hasher.js';
+import { getOutputLength } from './output.js';
+
+// ============================================================================
+// WEB STREAMS
+// ============================================================================
+// Each chunk is fed to a Hasher as it passes, so nothing is buffered beyond
+// the Hasher's own partial block. `digest` is a promise that resolves when the
+// stream closes and rejects if it is aborted or errors. A rejection nobody
+// awaits is not reported as unhandled, since the caller may only care about
+// the data.
+// ============================================================================
+
+// The hasher to feed (a plain Hasher unless options.hasher is given) and the
+// validated output length.
+export function streamHasher(options = {}) {
+  const length = getOutputLength(options);
+  const hasher = options.hasher === undefined ? new Hasher() : options.hasher;
+  if (!(hasher instanceof Hasher)) {
+    throw new TypeError('options.hasher must be a Hasher');
+  }
+  return { hasher, length };
+}
+
+export function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  promise.catch(() => {});
+  return { promise, resolve, reject };
+}
+
+// Passes chunks through unchanged:
+//   const hs = new HashTransformStream();
+//   await response.body.pipeThrough(hs).pipeTo(destination);
+//   const digest = await hs.digest;
+// This is a readable/writable pair rather than a TransformStream, because
+// a transformer only hears about abort() and cancel() through its cancel()
+// hook, which Node 18 and older browsers never call; the sinks and sources
+// below see both in every engine. Like a TransformStream with the default
+// strategies, a write completes once the reader has room for the chunk.
+export class HashTransformStream {
+  constructor(options) {
+    const { hasher, length } = streamHasher(options);
+    const result = deferred();
+    let input;
+    let output;
+    // Settled by the next pull() or by cancel(), when a write is waiting for
+    // the reader to catch up. A pull() with no write waiting sets `wanted`
+    // instead: a read is outstanding, so the next write need not wait.
+    let room = null;
+    let wanted = false;
+    const fail = (reason) => {
+      result.reject(reason);
+      if (room !== null) room.reject(reason);
+      room = null;
+    };
+
+    this.readable = new ReadableStream({
+      start(controller) {
+        output = controller;
+      },
+      pull() {
+        if (room === null) {
+          wanted = true;
+        } else {
+          room.resolve();
+          room = null;
+        }
+      },
+      cancel(reason) {
+        fail(reason);
+        input.error(reason);
+      },
+    }, { highWaterMark: 0 });
+
+    this.writable = new WritableStream({
+      start(controller) {
+        input = controller;
+      },
+      write(chunk) {
+        try {
+          hasher.update(chunk);
+        } catch (err) {
+          fail(err);
+          output.error(err);
+          throw err;
+        }
+        // The write is done if the reader was already waiting for it, or if
+        // enqueue() handed the chunk to one read and pull()ed for another.
+        const ready = wanted;
+        wanted = false;
+        output.enqueue(chunk);
+        if (ready || wanted || output.desiredSize > 0) return undefined;
+        room = deferred();
+        return room.promise;
+      },
+      close() {
+        result.resolve(hasher.finalize(length));
+        output.close();
+      },
+      abort(reason) {
+        fail(reason);
+        output.error(reason);
+      },
+    }, { highWaterMark: 1 });
+
+    this.digest = result.promise;
+  }
+}
+
+// Consumes the stream:
+//   const hs = new HashWritableStream();
+//   await file.stream().pipeTo(hs);
+//   const digest = await hs.digest;
+export class HashWritableStream extends WritableStream {
+  constructor(options) {
+    const { hasher, length } = streamHasher(options);
+    const result = deferred();
+    super({
+      write(chunk) {
+        try {
+          hasher.update(chunk);
+        } catch (err) {
+          result.reject(err);
+          throw err;
+        }
+      },
+      close() {
+        result.resolve(hasher.finalize(length));
+      },
+      abort(reason) {
+        result.reject(reason);
+      },
+    });
+    this.digest = result.promise;
+  }
+}
+
+// Calls fn(chunk) for each chunk of anything `for await` can iterate (async
+// generators, Node Readables) plus ReadableStreams in engines where they are
+// not async iterable yet. fn may be async; each call is awaited.
+export async function forEachChunk(iterable, fn) {
+  if (typeof iterable[Symbol.asyncIterator] !== 'function' && typeof iterable.getReader === 'function') {
+    const reader = iterable.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        await fn(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    for await (const chunk of iterable) await fn(chunk);
+  }
+}
+
+export async function hashAsyncIterable(iterable, options) {
+  const { hasher, length } = streamHasher(options);
+  await forEachChunk(iterable, (chunk) => {
+    hasher.update(chunk);
+  });
+  return hasher.finalize(length);
+}
+
+// Blob and File, read through blob.stream() one piece at a time.
+export async function hashBlob(blob, options) {
+  if (typeof Blob === 'undefined' || !(blob instanceof Blob)) {
+    throw new TypeError('hashBlob() expects a Blob or File');
+  }
+  return hashAsyncIterable(blob.stream(), options);
+}
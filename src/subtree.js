@@ -0,0 +1,211 @@
+import {
+  BLOCK_LEN, CHUNK_END, CHUNK_LEN, CHUNK_START, DERIVE_KEY_MATERIAL, IS_LITTLE_ENDIAN, IV,
+  KEYED_HASH, OUT_LEN, PARENT, ROOT, compress, readPartialBlock, readWordsLE, wordsToBytes,
+} from './compress.js';
+import { OutputReader, getOutputLength } from './output.js';
+import { HashContext, contextKeyWords, keyToWords } from './hash.js';
+import { toBytes } from './input.js';
+
+// ============================================================================
+// SUBTREE CHAINING VALUES
+// ============================================================================
+// A run of 2^k whole chunks starting at a chunk counter that is a multiple of
+// 2^k is a complete subtree of the BLAKE3 tree, so it can be hashed on its own
+// and its chaining value merged later through PARENT compressions. The last
+// subtree of an input may be shorter (and end in a partial chunk); its CV is
+// still correct as long as it is only ever merged from the right.
+// None of these values carry the ROOT flag. The internal functions take a
+// HashContext for their CV stack and block words, so callers that hash many
+// subtrees (a Bao encoder, a worker) allocate them once.
+// ============================================================================
+
+// Writes the non-root CV of `input` (at least one byte, chunk-aligned start)
+// to out[outOff..outOff+8].
+export function hashSubtreeInto(ctx, input, chunkCounter, keyWords, flags, out, outOff) {
+  const length = input.length | 0;
+  const stack = ctx.cvStack;
+  const blockWords = ctx.blockWords;
+
+  let inputWords = null;
+  if (IS_LITTLE_ENDIAN && ((input.byteOffset & 3) === 0) && (length >= 64)) {
+    try {
+      inputWords = new Uint32Array(input.buffer, input.byteOffset, length >> 2);
+    } catch (e) {
+      inputWords = null;
+    }
+  }
+
+  const numChunks = Math.ceil(length / CHUNK_LEN) || 1;
+  let stackPos = 0;
+  let offset = 0;
+
+  for (let chunk = 0; chunk < numChunks; chunk = chunk + 1 | 0) {
+    const chunkLen = Math.min(CHUNK_LEN, length - offset) | 0;
+    const numBlocks = Math.ceil(chunkLen / BLOCK_LEN) || 1;
+    const counter = chunkCounter + chunk;
+
+    stack.set(keyWords, stackPos);
+
+    for (let block = 0; block < numBlocks; block = block + 1 | 0) {
+      const blockLen = Math.min(BLOCK_LEN, length - offset) | 0;
+      const blockFlags = (block === 0 ? CHUNK_START : 0) |
+                         (block === numBlocks - 1 ? CHUNK_END : 0) | flags;
+
+      if (blockLen === BLOCK_LEN && inputWords !== null) {
+        compress(stack, stackPos, inputWords, offset >> 2, stack, stackPos,
+                 counter, BLOCK_LEN, blockFlags, true);
+      } else {
+        if (blockLen === BLOCK_LEN) {
+          readWordsLE(input, offset, blockWords, 16);
+        } else {
+          readPartialBlock(input, offset, blockLen, blockWords);
+        }
+        compress(stack, stackPos, blockWords, 0, stack, stackPos,
+                 counter, blockLen, blockFlags, true);
+      }
+      offset = offset + blockLen | 0;
+    }
+
+    stackPos = stackPos + 8 | 0;
+
+    if (chunk === numChunks - 1) break;
+
+    let total = chunk + 1 | 0;
+    while ((total & 1) === 0) {
+      stackPos = stackPos - 16 | 0;
+      compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+      stackPos = stackPos + 8 | 0;
+      total = total >> 1;
+    }
+  }
+
+  while (stackPos > 8) {
+    stackPos = stackPos - 16 | 0;
+    compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+    stackPos = stackPos + 8 | 0;
+  }
+
+  out.set(stack.subarray(0, 8), outOff);
+}
+
+// Combines `count` (>= 2) consecutive subtree CVs of equal size, the last of
+// which may be shorter, into the root output of the whole input.
+export function mergeSubtreeCvs(ctx, cvs, count, keyWords, flags, outLength) {
+  const stack = ctx.cvStack;
+  const outWords = ctx.outWords;
+  let stackPos = 0;
+
+  for (let i = 0; i < count; i = i + 1 | 0) {
+    stack.set(cvs.subarray(i * 8, i * 8 + 8), stackPos);
+    stackPos = stackPos + 8 | 0;
+
+    if (i === count - 1) break;
+
+    let total = i + 1 | 0;
+    while ((total & 1) === 0) {
+      stackPos = stackPos - 16 | 0;
+      compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+      stackPos = stackPos + 8 | 0;
+      total = total >> 1;
+    }
+  }
+
+  while (stackPos > 16) {
+    stackPos = stackPos - 16 | 0;
+    compress(keyWords, 0, stack, stackPos, stack, stackPos, 0, BLOCK_LEN, PARENT | flags, true);
+    stackPos = stackPos + 8 | 0;
+  }
+
+  if (outLength !== OUT_LEN) {
+    return new OutputReader(keyWords, 0, stack, 0, BLOCK_LEN, PARENT | flags).read(outLength);
+  }
+  compress(keyWords, 0, stack, 0, outWords, 0, 0, BLOCK_LEN, PARENT | ROOT | flags, true);
+  return wordsToBytes(outWords);
+}
+
+// ============================================================================
+// PUBLIC SUBTREE API
+// ============================================================================
+// For combining hashes computed elsewhere (other workers, other machines).
+// Split the input at power-of-two chunk boundaries, hashSubtree() each piece,
+// then combine neighbours with mergeCvs() the same way hash() does - left
+// subtree as large as possible - and finish the top pair with finalizeRoot().
+// An input that is a single subtree has no parent to finalize; hash it with
+// hash()/keyedHash()/deriveKey() instead. CVs are 32-byte Uint8Arrays and
+// never carry the ROOT flag. Chunk counters can be any safe integer, so the
+// pieces can belong to an input of up to 2^53 chunks (8 EiB).
+// ============================================================================
+
+const MAX_CHUNK_COUNTER = 2 ** 53;
+
+// keyWords/flags for options.key (keyed hash) or options.context (derive_key
+// key material), defaulting to the plain hash.
+function modeFromOptions(options) {
+  if (options.key !== undefined && options.context !== undefined) {
+    throw new TypeError('Pass either options.key or options.context, not both');
+  }
+  if (options.key !== undefined) return { keyWords: keyToWords(options.key), flags: KEYED_HASH };
+  if (options.context !== undefined) {
+    return { keyWords: contextKeyWords(options.context), flags: DERIVE_KEY_MATERIAL };
+  }
+  return { keyWords: IV, flags: 0 };
+}
+
+function cvToWords(cv, name) {
+  if (!(cv instanceof Uint8Array)) {
+    throw new TypeError(`${name} must be a Uint8Array`);
+  }
+  if (cv.length !== OUT_LEN) {
+    throw new RangeError(`${name} must be exactly ${OUT_LEN} bytes, got ${cv.length}`);
+  }
+  const words = new Uint32Array(8);
+  readWordsLE(cv, 0, words, 8);
+  return words;
+}
+
+// `input` must be a whole subtree: chunkCounter a multiple of 2^k where 2^k
+// chunks hold the input. Only the last subtree of a message may be shorter
+// than 2^k chunks, which cannot be checked here.
+export function hashSubtree(data, chunkCounter, options = {}) {
+  const input = toBytes(data);
+  const { keyWords, flags } = modeFromOptions(options);
+  if (!Number.isInteger(chunkCounter) || chunkCounter < 0 || chunkCounter >= MAX_CHUNK_COUNTER) {
+    throw new RangeError(`chunkCounter must be an integer in [0, 2^53), got ${chunkCounter}`);
+  }
+  if (input.length === 0) {
+    throw new RangeError('A subtree must contain at least one byte');
+  }
+  let span = 1;
+  while (span * CHUNK_LEN < input.length) span *= 2;
+  if (chunkCounter % span !== 0) {
+    throw new RangeError(`A ${span}-chunk subtree must start at a multiple of ${span} chunks, got ${chunkCounter}`);
+  }
+  if (chunkCounter + span > MAX_CHUNK_COUNTER) {
+    throw new RangeError('Subtree extends past the 2^53 chunk limit');
+  }
+
+  const cv = new Uint32Array(8);
+  hashSubtreeInto(new HashContext(), input, chunkCounter, keyWords, flags, cv, 0);
+  return wordsToBytes(cv);
+}
+
+// Parent CV of two neighbouring subtrees, for any level below the root.
+export function mergeCvs(left, right, options = {}) {
+  const { keyWords, flags } = modeFromOptions(options);
+  const words = new Uint32Array(16);
+  words.set(cvToWords(left, 'left'), 0);
+  words.set(cvToWords(right, 'right'), 8);
+  compress(keyWords, 0, words, 0, words, 0, 0, BLOCK_LEN, PARENT | flags, true);
+  return wordsToBytes(words);
+}
+
+// The hash of the whole input from the CVs of the root's two children;
+// options.length selects extended output.
+export function finalizeRoot(left, right, options = {}) {
+  const { keyWords, flags } = modeFromOptions(options);
+  const outLength = getOutputLength(options);
+  const words = new Uint32Array(16);
+  words.set(cvToWords(left, 'left'), 0);
+  words.set(cvToWords(right, 'right'), 8);
+  return new OutputReader(keyWords, 0, words, 0, BLOCK_LEN, PARENT | flags).read(outLength);
+}
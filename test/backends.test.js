@@ -0,0 +1,50 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deriveKey, getBackend, hash, keyedHash, setBackend } from '../src/index.js';
+import { genInput, hex, shifted, testKey, vectors } from './helpers.js';
+
+// The JS and WASM SIMD backends must agree byte for byte on every official
+// test-vector length plus sizes that span several 64-chunk WASM batches.
+
+let wasmAvailable = true;
+try {
+  setBackend('wasm');
+} catch (e) {
+  wasmAvailable = false;
+}
+setBackend('auto');
+
+const lengths = [
+  ...vectors.cases.map((c) => c.input_len),
+  65 * 1024, 200 * 1024 + 7, 1024 * 1024,
+];
+
+function run(input) {
+  return [
+    hex(hash(input, { length: 131 })),
+    hex(keyedHash(testKey, input, { length: 131 })),
+    hex(deriveKey(vectors.context_string, input, 131)),
+  ];
+}
+
+describe('backends', () => {
+  after(() => setBackend('auto'));
+
+  test('JS and WASM produce identical output', { skip: !wasmAvailable && 'WASM SIMD unavailable' }, () => {
+    for (const len of lengths) {
+      const input = genInput(len);
+      setBackend('js');
+      const expected = run(input);
+      setBackend('wasm');
+      assert.deepEqual(run(input), expected, `len=${len}`);
+      assert.deepEqual(run(shifted(input, 1)), expected, `len=${len} misaligned`);
+    }
+  });
+
+  test('setBackend() forces a backend and validates names', () => {
+    setBackend('js');
+    assert.equal(getBackend(), 'js');
+    assert.throws(() => setBackend('gpu'), TypeError);
+  });
+});
@@ -0,0 +1,162 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BaoDecoder, HashContext, baoDecode, baoDecodeSlice, baoEncode, baoExtractSlice, hash,
+} from '../src/index.js';
+import { hashSubtreeInto } from '../src/subtree.js';
+import { IV } from '../src/compress.js';
+import { genInput, hex } from './helpers.js';
+
+const lengths = [0, 1, 1023, 1024, 1025, 2048, 2049, 3072, 5121, 8193, 16384, 31744, 102400];
+
+function chunkCv(input, index) {
+  const cv = new Uint32Array(8);
+  hashSubtreeInto(new HashContext(), input.subarray(index * 1024, (index + 1) * 1024), index, IV, 0, cv, 0);
+  return Buffer.from(cv.buffer).toString('hex');
+}
+
+describe('baoEncode', () => {
+  test('root hash equals hash() and sizes match the tree', () => {
+    for (const len of lengths) {
+      const input = genInput(len);
+      const chunks = Math.max(1, Math.ceil(len / 1024));
+      const combined = baoEncode(input);
+      const outboard = baoEncode(input, { outboard: true });
+      assert.equal(hex(combined.hash), hex(hash(input)));
+      assert.equal(hex(outboard.hash), hex(hash(input)));
+      assert.equal(combined.encoded.length, 8 + (chunks - 1) * 64 + len);
+      assert.equal(outboard.encoded.length, 8 + (chunks - 1) * 64);
+      assert.equal(Buffer.from(combined.encoded.subarray(0, 8)).readBigUInt64LE(), BigInt(len));
+    }
+  });
+
+  test('lays out parents and chunks in pre-order', () => {
+    // 3 chunks: root(parent(c0, c1), c2)
+    const input = genInput(2049);
+    const { encoded } = baoEncode(input);
+    const at = (pos, len) => hex(encoded.subarray(pos, pos + len));
+    assert.equal(at(8 + 64, 64), chunkCv(input, 0) + chunkCv(input, 1));
+    assert.equal(at(8 + 128, 1024), hex(input.subarray(0, 1024)));
+    assert.equal(at(8 + 128 + 2048, 1), hex(input.subarray(2048)));
+  });
+});
+
+describe('baoDecode', () => {
+  test('round-trips every length, combined and outboard', () => {
+    for (const len of lengths) {
+      const input = genInput(len);
+      const { hash: root, encoded } = baoEncode(input);
+      assert.equal(hex(baoDecode(encoded, root)), hex(input));
+
+      const outboard = baoEncode(input, { outboard: true }).encoded;
+      assert.equal(hex(baoExtractSlice(outboard, 0, len, input)), hex(encoded));
+    }
+  });
+
+  test('rejects any flipped byte and a wrong root', () => {
+    const input = genInput(5121);
+    const { hash: root, encoded } = baoEncode(input);
+    for (const pos of [8, 40, 8 + 64 * 4, 8 + 64 * 4 + 1023, encoded.length - 1]) {
+      const bad = encoded.slice();
+      bad[pos] ^= 1;
+      assert.throws(() => baoDecode(bad, root), /Bao verification failed/, `pos=${pos}`);
+    }
+    const badRoot = root.slice();
+    badRoot[0] ^= 1;
+    assert.throws(() => baoDecode(encoded, badRoot), /Bao verification failed/);
+  });
+
+  test('rejects a tampered length header', () => {
+    const input = genInput(4097);
+    const { hash: root, encoded } = baoEncode(input);
+    for (const len of [0n, 4096n, 4098n, 8193n]) {
+      const bad = encoded.slice();
+      new DataView(bad.buffer).setBigUint64(0, len, true);
+      assert.throws(() => baoDecode(bad, root), `len=${len}`);
+    }
+  });
+
+  test('rejects truncated and overlong encodings', () => {
+    const { hash: root, encoded } = baoEncode(genInput(3000));
+    assert.throws(() => baoDecode(encoded.subarray(0, encoded.length - 1), root), /truncated/);
+    assert.throws(() => baoDecode(encoded.subarray(0, 5), root), /truncated/);
+    const long = new Uint8Array(encoded.length + 1);
+    long.set(encoded);
+    assert.throws(() => baoDecode(long, root), /trailing bytes/);
+  });
+});
+
+describe('slices', () => {
+  const input = genInput(102400 + 17);
+  const { hash: root, encoded } = baoEncode(input);
+  const outboard = baoEncode(input, { outboard: true }).encoded;
+
+  test('verify any range from either encoding', () => {
+    const ranges = [[0, 1], [0, 0], [1023, 2], [5000, 10000], [65535, 1], [102400, 17],
+                    [102410, 1000], [200000, 5], [0, input.length]];
+    for (const [start, length] of ranges) {
+      const slice = baoExtractSlice(encoded, start, length);
+      assert.equal(hex(baoExtractSlice(outboard, start, length, input)), hex(slice));
+      assert.ok(slice.length < encoded.length || length >= input.length - 1024);
+      const content = baoDecodeSlice(slice, root, start, length);
+      assert.equal(hex(content), hex(input.subarray(start, start + length)), `${start}+${length}`);
+    }
+  });
+
+  test('a slice contains only the path to its chunks', () => {
+    // 101 chunks: depth 7, so one chunk needs 7 parents.
+    const slice = baoExtractSlice(encoded, 50 * 1024, 1);
+    assert.equal(slice.length, 8 + 7 * 64 + 1024);
+  });
+
+  test('a slice does not verify another range', () => {
+    const slice = baoExtractSlice(encoded, 0, 1024);
+    assert.throws(() => baoDecodeSlice(slice, root, 4096, 1024));
+  });
+});
+
+describe('BaoDecoder', () => {
+  const input = genInput(20000);
+  const { hash: root, encoded } = baoEncode(input);
+
+  test('returns verified content as bytes arrive', () => {
+    for (const step of [1, 7, 64, 1000, 4096]) {
+      const decoder = new BaoDecoder(root);
+      const parts = [];
+      for (let i = 0; i < encoded.length; i += step) {
+        parts.push(decoder.update(encoded.subarray(i, i + step)));
+      }
+      decoder.finalize();
+      assert.equal(hex(Buffer.concat(parts)), hex(input), `step=${step}`);
+    }
+  });
+
+  test('fails on the first corrupted chunk after returning the good ones', () => {
+    const bad = encoded.slice();
+    // 20 chunks; six parents precede chunk 3 in pre-order (the root and those
+    // over chunks 0..15, 0..7, 0..3, 0..1 and 2..3).
+    const chunk3 = 8 + 6 * 64 + 3 * 1024;
+    bad[chunk3 + 100] ^= 0xff;
+    const decoder = new BaoDecoder(root);
+    let verified = 0;
+    assert.throws(() => {
+      for (let i = 0; i < bad.length; i += 512) verified += decoder.update(bad.subarray(i, i + 512)).length;
+    }, /chunk 3 does not match/);
+    assert.equal(verified, 3 * 1024);
+    assert.throws(() => decoder.update(new Uint8Array(1)), /already failed/);
+  });
+
+  test('finalize() detects a truncated slice', () => {
+    const decoder = new BaoDecoder(root, 0, 5000);
+    decoder.update(baoExtractSlice(encoded, 0, 5000).subarray(0, 500));
+    assert.throws(() => decoder.finalize(), /truncated/);
+  });
+
+  test('validates its arguments', () => {
+    assert.throws(() => new BaoDecoder(new Uint8Array(31)), TypeError);
+    assert.throws(() => new BaoDecoder(root, -1), RangeError);
+    assert.throws(() => baoExtractSlice(encoded, 0, 1.5), RangeError);
+    assert.throws(() => baoExtractSlice(encoded, 0, 1, new Uint8Array(5)), RangeError);
+  });
+});
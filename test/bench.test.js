@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RESULT_FORMAT_VERSION, compareToBaseline, defaultCases, measure, runSuite, summarize,
+} from '../bench/harness.js';
+
+const report = (entries) => ({
+  version: RESULT_FORMAT_VERSION,
+  results: Object.entries(entries).map(([name, mibPerSec]) => ({ name, mibPerSec })),
+});
+
+describe('benchmark harness', () => {
+  test('summarize() computes median, p95 and variance', () => {
+    const s = summarize([5, 1, 4, 2, 3]);
+    assert.equal(s.min, 1);
+    assert.equal(s.max, 5);
+    assert.equal(s.median, 3);
+    assert.equal(s.mean, 3);
+    assert.equal(s.variance, 2);
+    assert.equal(s.stddev, Math.sqrt(2));
+    assert.ok(Math.abs(s.p95 - 4.8) < 1e-9);
+    assert.equal(summarize([7]).p95, 7);
+    assert.throws(() => summarize([]), RangeError);
+  });
+
+  test('measure() and runSuite() produce a JSON-ready report', () => {
+    assert.equal(measure(() => {}, { samples: 3, sampleMs: 1, warmupMs: 1 }).length, 3);
+    const cases = defaultCases({
+      sizes: [64], latencySizes: [1], intoSizes: [64], streamSize: 4096, updateSizes: [1024],
+    });
+    assert.deepEqual(cases.map((c) => c.name),
+      ['oneshot/64B', 'latency/1B', 'into/64B', 'many/1000x64B', 'stream/4KiB/oneshot',
+       'stream/4KiB/update-1KiB']);
+    const seen = [];
+    const result = runSuite(cases, { samples: 2, sampleMs: 1, warmupMs: 1, environment: { id: 'x' } },
+      (r) => seen.push(r.name));
+    assert.equal(seen.length, 6);
+    const parsed = JSON.parse(JSON.stringify(result));
+    assert.equal(parsed.version, RESULT_FORMAT_VERSION);
+    assert.deepEqual(parsed.environment, { id: 'x' });
+    assert.equal(parsed.settings.samples, 2);
+    assert.ok(parsed.results.every((r) => r.mibPerSec > 0 && r.nsPerOp.p95 >= r.nsPerOp.min));
+  });
+
+  test('compareToBaseline() flags drops beyond the threshold', () => {
+    const baseline = report({ a: 100, b: 100, c: 100, gone: 50 });
+    const current = report({ a: 95, b: 89, c: 130, added: 10 });
+    const cmp = compareToBaseline(current, baseline, 0.1);
+    assert.deepEqual(cmp.regressions.map((c) => c.name), ['b']);
+    assert.deepEqual(cmp.missing, ['added', 'gone']);
+    assert.ok(Math.abs(cmp.comparisons[2].change - 0.3) < 1e-9);
+    assert.equal(compareToBaseline(current, baseline, 0.02).regressions.length, 2);
+    assert.throws(() => compareToBaseline(current, baseline, 1), RangeError);
+    assert.throws(() => compareToBaseline(current, { ...baseline, version: 0 }, 0.1), /format version/);
+  });
+});
@@ -0,0 +1,157 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  Chunker, MemoryChunkStore, buildManifest, hash, reassemble, reassembleChunks, toHex,
+} from '../src/index.js';
+import { DirectoryChunkStore } from '../src/node.js';
+import { genInput, hex, randomInput } from './helpers.js';
+
+// genInput() repeats every 251 bytes, which the chunker would cut at the same
+// phase every time; random data has no such period.
+const data = randomInput(300000, 'cdc');
+
+function chunkAll(bytes, step, options) {
+  const chunker = new Chunker(options);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += step) chunks.push(...chunker.push(bytes.subarray(i, i + step)));
+  chunks.push(...chunker.finish());
+  return chunks;
+}
+
+function concat(chunks) {
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+describe('Chunker', () => {
+  test('cuts the same chunks however the input is split', () => {
+    const lengths = chunkAll(data, data.length).map((c) => c.length);
+    for (const step of [1, 100, 4096, 65537]) {
+      assert.deepEqual(chunkAll(data, step).map((c) => c.length), lengths, `step=${step}`);
+    }
+    assert.deepEqual(concat(chunkAll(data, 777)), data);
+  });
+
+  test('respects the size limits', () => {
+    const options = { minSize: 256, avgSize: 1024, maxSize: 2048 };
+    const chunks = chunkAll(data, 5000, options);
+    chunks.slice(0, -1).forEach((c) => {
+      assert.ok(c.length >= 256 && c.length <= 2048, `length ${c.length}`);
+    });
+    const average = data.length / chunks.length;
+    assert.ok(average > 512 && average < 2048, `average ${average}`);
+
+    // Data without any cut point is split at maxSize.
+    const zeros = chunkAll(new Uint8Array(10000), 10000, options);
+    assert.deepEqual(zeros.map((c) => c.length), [2048, 2048, 2048, 2048, 1808]);
+  });
+
+  test('boundaries resynchronize after an insertion', () => {
+    const edited = concat([data.subarray(0, 1000), genInput(37), data.subarray(1000)]);
+    const before = new Set(chunkAll(data, data.length).map(hex));
+    const after = chunkAll(edited, edited.length).map(hex);
+    const shared = after.filter((h) => before.has(h)).length;
+    assert.ok(shared >= after.length - 2, `${shared} of ${after.length} chunks shared`);
+  });
+
+  test('rejects invalid sizes', () => {
+    assert.throws(() => new Chunker({ avgSize: 3000 }), RangeError);
+    assert.throws(() => new Chunker({ minSize: 16 }), RangeError);
+    assert.throws(() => new Chunker({ minSize: 8192, avgSize: 4096 }), RangeError);
+    assert.throws(() => new Chunker({ maxSize: 4096 }), RangeError);
+    assert.throws(() => new Chunker({ maxSize: 1.5 }), RangeError);
+  });
+});
+
+describe('manifests', () => {
+  test('describe the file and deduplicate chunks in the store', async () => {
+    const store = new MemoryChunkStore();
+    const manifest = await buildManifest(data, { store });
+    assert.equal(manifest.size, data.length);
+    assert.equal(manifest.hash, hex(hash(data)));
+    assert.deepEqual(manifest.chunker, { minSize: 2048, avgSize: 8192, maxSize: 65536 });
+    let offset = 0;
+    for (const entry of manifest.chunks) {
+      assert.equal(entry.offset, offset);
+      assert.equal(entry.hash, toHex(hash(data.subarray(offset, offset + entry.length))));
+      offset += entry.length;
+    }
+    assert.equal(store.size, manifest.chunks.length);
+
+    const doubled = await buildManifest(concat([data, data]), { store });
+    assert.ok(store.size <= manifest.chunks.length + 2, `${store.size} chunks stored`);
+    assert.deepEqual(await reassemble(doubled, store), concat([data, data]));
+  });
+
+  test('are the same for streamed and Blob sources', async () => {
+    const expected = await buildManifest(data);
+    async function* pieces() {
+      for (let i = 0; i < data.length; i += 10007) yield data.subarray(i, i + 10007);
+    }
+    assert.deepEqual(await buildManifest(pieces()), expected);
+    assert.deepEqual(await buildManifest(new Blob([data])), expected);
+    assert.deepEqual(JSON.parse(JSON.stringify(expected)), expected);
+  });
+
+  test('handle empty input', async () => {
+    const store = new MemoryChunkStore();
+    const manifest = await buildManifest(new Uint8Array(0), { store });
+    assert.equal(manifest.chunks.length, 0);
+    assert.equal(manifest.hash, hex(hash(new Uint8Array(0))));
+    assert.equal((await reassemble(manifest, store)).length, 0);
+  });
+
+  test('reassembly detects missing and corrupt chunks', async () => {
+    const store = new MemoryChunkStore();
+    const manifest = await buildManifest(data, { store });
+    const first = manifest.chunks[0].hash;
+
+    const corrupt = new MemoryChunkStore();
+    for (const { hash: digest } of manifest.chunks) await corrupt.put(digest, await store.get(digest));
+    (await corrupt.get(first))[10] ^= 1;
+    await assert.rejects(reassemble(manifest, corrupt), /Chunk 0 .* does not match its hash/);
+    await assert.rejects(reassemble(manifest, new MemoryChunkStore()), /Chunk 0 .* is missing/);
+
+    const wrongHash = { ...manifest, hash: '0'.repeat(64) };
+    const yielded = [];
+    await assert.rejects(async () => {
+      for await (const chunk of reassembleChunks(wrongHash, store)) yielded.push(chunk);
+    }, /does not match the manifest hash/);
+    assert.equal(yielded.length, manifest.chunks.length);
+
+    await assert.rejects(reassemble({ ...manifest, size: 1 }, store), /Invalid manifest/);
+    await assert.rejects(reassemble({ ...manifest, version: 2 }, store), /unsupported version 2/);
+  });
+});
+
+describe('DirectoryChunkStore', () => {
+  test('stores chunks on disk and round-trips a file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'b3-chunks-'));
+    try {
+      const store = new DirectoryChunkStore(dir);
+      const manifest = await buildManifest(data, { store });
+      assert.deepEqual(new Uint8Array(await reassemble(manifest, new DirectoryChunkStore(dir))), data);
+
+      const digest = manifest.chunks[0].hash;
+      assert.equal(await store.has(digest), true);
+      assert.equal(await store.has('f'.repeat(64)), false);
+      assert.equal(await store.get('f'.repeat(64)), undefined);
+      assert.ok(readdirSync(join(dir, digest.slice(0, 2))).includes(digest));
+      await assert.rejects(store.get('../etc'), TypeError);
+
+      writeFileSync(join(dir, digest.slice(0, 2), digest), 'tampered');
+      await assert.rejects(reassemble(manifest, store), /does not match its hash/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
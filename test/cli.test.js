@@ -0,0 +1,95 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { genInput, testKey, vectors } from './helpers.js';
+
+const B3SUM = fileURLToPath(new URL('../bin/b3sum.js', import.meta.url));
+
+function b3sum(args, { cwd, input } = {}) {
+  return spawnSync(process.execPath, [B3SUM, ...args], { cwd, input });
+}
+
+const byLen = new Map(vectors.cases.map((c) => [c.input_len, c]));
+
+describe('b3sum CLI', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'b3sum-'));
+    writeFileSync(join(dir, 'small'), genInput(1025));
+    // Larger than the 1 MiB read size, so the file arrives in several parts.
+    writeFileSync(join(dir, 'big'), genInput(102400 * 25));
+    writeFileSync(join(dir, 'back\\slash'), genInput(64));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('hashes files and stdin in b3sum format', () => {
+    const files = b3sum(['small', 'big'], { cwd: dir });
+    assert.equal(files.status, 0);
+    const lines = files.stdout.toString().split('\n');
+    assert.equal(lines[0], `${byLen.get(1025).hash.slice(0, 64)}  small`);
+    assert.match(lines[1], /^[0-9a-f]{64} {2}big$/);
+
+    const stdin = b3sum([], { input: genInput(1024) });
+    assert.equal(stdin.stdout.toString(), `${byLen.get(1024).hash.slice(0, 64)}  -\n`);
+  });
+
+  test('--length, --no-names and --raw', () => {
+    const c = byLen.get(63);
+    assert.equal(b3sum(['--length', '131', '--no-names'], { input: genInput(63) }).stdout.toString(),
+                 `${c.hash}\n`);
+    const raw = b3sum(['--raw', '-l', '10'], { input: genInput(63) }).stdout;
+    assert.equal(raw.toString('hex'), c.hash.slice(0, 20));
+    assert.equal(b3sum(['--raw', 'small', 'big'], { cwd: dir }).status, 2);
+  });
+
+  test('--keyed reads the key from stdin', () => {
+    const out = b3sum(['--keyed', '--no-names', 'small'], { cwd: dir, input: testKey });
+    assert.equal(out.stdout.toString(), `${byLen.get(1025).keyed_hash.slice(0, 64)}\n`);
+    const short = b3sum(['--keyed', 'small'], { cwd: dir, input: testKey.subarray(1) });
+    assert.equal(short.status, 2);
+    assert.match(short.stderr.toString(), /exactly 32 bytes/);
+  });
+
+  test('--derive-key', () => {
+    const out = b3sum(['--derive-key', vectors.context_string, '--no-names', 'small'], { cwd: dir });
+    assert.equal(out.stdout.toString(), `${byLen.get(1025).derive_key.slice(0, 64)}\n`);
+  });
+
+  test('--check verifies its own output, including escaped names', () => {
+    const sums = b3sum(['small', 'big', 'back\\slash'], { cwd: dir }).stdout;
+    assert.match(sums.toString(), /^\\[0-9a-f]{64} {2}back\\\\slash$/m);
+    writeFileSync(join(dir, 'sums'), sums);
+
+    const ok = b3sum(['--check', 'sums'], { cwd: dir });
+    assert.equal(ok.status, 0);
+    assert.equal(ok.stdout.toString(), 'small: OK\nbig: OK\nback\\slash: OK\n');
+    assert.equal(b3sum(['-c', '--quiet', 'sums'], { cwd: dir }).stdout.length, 0);
+  });
+
+  test('--check reports mismatches and missing files', () => {
+    const good = byLen.get(1025).hash.slice(0, 64);
+    const bad = (good[0] === '0' ? '1' : '0') + good.slice(1);
+    const out = b3sum(['-c'], { cwd: dir, input: `${bad}  small\n${good}  missing\n` });
+    assert.equal(out.status, 1);
+    assert.equal(out.stdout.toString(), 'small: FAILED\nmissing: FAILED (No such file or directory)\n');
+    assert.match(out.stderr.toString(), /1 computed checksum did NOT match/);
+
+    const invalid = b3sum(['-c'], { cwd: dir, input: 'not a checksum\n' });
+    assert.equal(invalid.status, 1);
+    assert.match(invalid.stderr.toString(), /-:1: invalid check line/);
+  });
+
+  test('rejects conflicting options', () => {
+    assert.equal(b3sum(['--check', '--length', '8']).status, 2);
+    assert.equal(b3sum(['--keyed', '--derive-key', 'x', 'small'], { cwd: dir }).status, 2);
+    assert.equal(b3sum(['--keyed'], { input: testKey }).status, 2);
+    assert.equal(b3sum(['--length', 'abc']).status, 2);
+  });
+});
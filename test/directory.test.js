@@ -0,0 +1,100 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  diffDirectoryManifests, formatDirectoryManifest, hash, parseDirectoryManifest, toHex,
+} from '../src/index.js';
+import { hashDirectory } from '../src/node.js';
+import { genInput, hex } from './helpers.js';
+
+let dir;
+
+function tree(files) {
+  const root = mkdtempSync(join(dir, 't-'));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(root, path, '..'), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+  return root;
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'b3-dir-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('hashDirectory()', () => {
+  test('records files in UTF-8 path order and hashes the canonical manifest', async () => {
+    const big = genInput(3 * 1024 * 1024 + 5);
+    const root = tree({ 'a/b': 'nested', 'a-b': 'dash', 'big.bin': big, 'line\nbreak': '', '\u{1f600}': 'x', 'ﬁ': 'y' });
+    chmodSync(join(root, 'a-b'), 0o700);
+    symlinkSync('big.bin', join(root, 'link'));
+    mkdirSync(join(root, 'empty'));
+
+    const manifest = await hashDirectory(root);
+    assert.deepEqual(manifest.entries.map((e) => e.path),
+      ['a-b', 'a/b', 'big.bin', 'line\nbreak', 'link', 'ﬁ', '\u{1f600}']);
+    assert.deepEqual(manifest.entries[0], { path: 'a-b', type: 'file', mode: 0o755, size: 4, hash: hex(hash('dash')) });
+    assert.equal(manifest.entries[1].mode, 0o644);
+    assert.equal(manifest.entries[2].hash, hex(hash(big)));
+    assert.equal(manifest.entries[2].size, big.length);
+    assert.deepEqual(manifest.entries[4], { path: 'link', type: 'symlink', mode: 0o777, size: 7, hash: hex(hash('big.bin')) });
+
+    const text = formatDirectoryManifest(manifest.entries);
+    assert.match(text, /^blake3-ultra directory manifest v1\nf 0755 4 [0-9a-f]{64} a-b\n/);
+    assert.ok(text.includes(' line\\nbreak\n'));
+    assert.equal(manifest.root, toHex(hash(text)));
+    assert.deepEqual(parseDirectoryManifest(text), manifest);
+  });
+
+  test('path boundaries are part of the root', async () => {
+    const a = await hashDirectory(tree({ ab: 'c' }));
+    const b = await hashDirectory(tree({ a: 'bc' }));
+    const c = await hashDirectory(tree({ a: 'b', b: 'c' }));
+    assert.notEqual(a.root, b.root);
+    assert.notEqual(b.root, c.root);
+    assert.equal((await hashDirectory(tree({ ab: 'c' }))).root, a.root);
+  });
+
+  test('rejects paths that are not directories', async () => {
+    const root = tree({ file: 'x' });
+    await assert.rejects(hashDirectory(join(root, 'file')), /Not a directory/);
+    await assert.rejects(hashDirectory(join(root, 'missing')), { code: 'ENOENT' });
+  });
+});
+
+describe('directory manifests', () => {
+  const entry = (path, content, mode = 0o644) => ({
+    path, type: 'file', mode, size: content.length, hash: hex(hash(content)),
+  });
+
+  test('diff reports added, removed and changed paths', () => {
+    const before = { entries: [entry('a', 'x'), entry('b', 'y'), entry('c', 'z'), entry('d', 'w')] };
+    const after = { entries: [entry('a', 'x'), entry('b', 'Y'), entry('d', 'w', 0o755), entry('e', 'v')] };
+    const diff = diffDirectoryManifests(before, after);
+    assert.deepEqual(diff.added, ['e']);
+    assert.deepEqual(diff.removed, ['c']);
+    assert.deepEqual(diff.changed.map((c) => c.path), ['b', 'd']);
+    assert.equal(diff.changed[1].before.mode, 0o644);
+    assert.deepEqual(diffDirectoryManifests(before, before), { added: [], removed: [], changed: [] });
+  });
+
+  test('only canonical text parses', () => {
+    const text = formatDirectoryManifest([entry('b', 'y'), entry('a', 'x')]);
+    const lines = text.split('\n');
+    const swapped = [lines[0], lines[2], lines[1], ''].join('\n');
+    assert.throws(() => parseDirectoryManifest(swapped), /out of order/);
+    assert.throws(() => parseDirectoryManifest(text.trimEnd()), SyntaxError);
+    assert.throws(() => parseDirectoryManifest(text.replace('v1', 'v2')), SyntaxError);
+    assert.throws(() => parseDirectoryManifest(text.replace(' 1 ', ' 01 ')), SyntaxError);
+    assert.throws(() => parseDirectoryManifest(text.replace(/ a\n/, ' a\\t\n')), /invalid escape/);
+    assert.throws(() => formatDirectoryManifest([entry('a', 'x'), entry('a', 'y')]), /Duplicate path/);
+    assert.throws(() => formatDirectoryManifest([{ ...entry('a', 'x'), type: 'dir' }]), TypeError);
+  });
+});
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  equals, fromBase32, fromBase64, fromBase64Url, fromHex, fromMultihash, hash, parseCid,
+  toBase32, toBase64, toBase64Url, toCid, toHex, toMultihash,
+} from '../src/index.js';
+import { genInput } from './helpers.js';
+
+const ascii = (s) => new TextEncoder().encode(s);
+
+describe('encodings', () => {
+  test('RFC 4648 test vectors', () => {
+    const cases = [
+      ['', '', '', ''],
+      ['f', 'Zg==', 'Zg', 'my'],
+      ['fo', 'Zm8=', 'Zm8', 'mzxq'],
+      ['foo', 'Zm9v', 'Zm9v', 'mzxw6'],
+      ['foob', 'Zm9vYg==', 'Zm9vYg', 'mzxw6yq'],
+      ['fooba', 'Zm9vYmE=', 'Zm9vYmE', 'mzxw6ytb'],
+      ['foobar', 'Zm9vYmFy', 'Zm9vYmFy', 'mzxw6ytboi'],
+    ];
+    for (const [plain, b64, b64url, b32] of cases) {
+      const bytes = ascii(plain);
+      assert.equal(toBase64(bytes), b64);
+      assert.equal(toBase64Url(bytes), b64url);
+      assert.equal(toBase32(bytes), b32);
+      assert.deepEqual(fromBase64(b64), bytes);
+      assert.deepEqual(fromBase64Url(b64url), bytes);
+      assert.deepEqual(fromBase32(b32), bytes);
+      assert.deepEqual(fromBase32(b32.toUpperCase()), bytes);
+    }
+  });
+
+  test('round-trips every length and byte value', () => {
+    for (let len = 0; len < 70; len++) {
+      const bytes = genInput(len + 200).subarray(200 - len);
+      assert.deepEqual(fromHex(toHex(bytes)), bytes);
+      assert.deepEqual(fromBase64(toBase64(bytes)), bytes);
+      assert.deepEqual(fromBase64Url(toBase64Url(bytes)), bytes);
+      assert.deepEqual(fromBase32(toBase32(bytes)), bytes);
+    }
+    const all = new Uint8Array(256).map((_, i) => i);
+    assert.equal(toHex(all), Buffer.from(all).toString('hex'));
+    assert.equal(toBase64(all), Buffer.from(all).toString('base64'));
+    assert.equal(toBase64Url(all), Buffer.from(all).toString('base64url'));
+    assert.deepEqual(fromHex(toHex(all).toUpperCase()), all);
+  });
+
+  test('hex and base32 parsers ignore letter case; encoders emit lowercase', () => {
+    const bytes = Uint8Array.of(0xab, 0xcd, 0xef, 0x01);
+    for (const text of ['abcdef01', 'ABCDEF01', 'aBcDeF01']) {
+      assert.deepEqual(fromHex(text), bytes, text);
+      assert.equal(toHex(fromHex(text)), 'abcdef01');
+    }
+    for (const text of ['mzxw6ytboi', 'MZXW6YTBOI', 'MzXw6YtBoI']) {
+      assert.deepEqual(fromBase32(text), ascii('foobar'), text);
+      assert.equal(toBase32(fromBase32(text)), 'mzxw6ytboi');
+    }
+    // The base64 alphabets use both cases, so case matters there.
+    assert.notDeepEqual(fromBase64('Zm9v'), fromBase64('zM9V'));
+  });
+
+  test('parsers reject every other non-canonical form', () => {
+    for (const bad of ['a', 'zz', '0g', ' 00']) assert.throws(() => fromHex(bad), SyntaxError, bad);
+    for (const bad of ['Zg', 'Zg=', 'Zh==', 'Zm9v====', 'Zm9v\n', 'Zm-v', 'Z===']) {
+      assert.throws(() => fromBase64(bad), SyntaxError, bad);
+    }
+    for (const bad of ['Zg==', 'Zm+v', 'Z', 'Zh']) assert.throws(() => fromBase64Url(bad), SyntaxError, bad);
+    for (const bad of ['m', 'mz', 'mzx', 'mz1', 'my======', 'mz']) {
+      assert.throws(() => fromBase32(bad), SyntaxError, bad);
+    }
+    assert.throws(() => fromHex(42), TypeError);
+    assert.throws(() => toHex('00'), TypeError);
+  });
+});
+
+describe('multihash and CID', () => {
+  const digest = hash(ascii('hello'));
+
+  test('multihash is 0x1e, length, digest', () => {
+    const mh = toMultihash(digest);
+    assert.equal(toHex(mh.subarray(0, 2)), '1e20');
+    assert.deepEqual(fromMultihash(mh), digest);
+    const long = toMultihash(hash(ascii('hello'), { length: 200 }));
+    assert.equal(toHex(long.subarray(0, 3)), '1ec801');
+    assert.equal(fromMultihash(long).length, 200);
+  });
+
+  test('CIDv1 raw base32', () => {
+    const cid = toCid(digest);
+    // version 1, raw 0x55, blake3 0x1e, 32 bytes
+    assert.ok(cid.startsWith('bafkr4i'), cid);
+    assert.deepEqual(parseCid(cid), { version: 1, codec: 0x55, digest });
+    assert.equal(parseCid(toCid(digest, { codec: 0x70 })).codec, 0x70);
+  });
+
+  test('rejects foreign or malformed identifiers', () => {
+    const sha256 = new Uint8Array([0x12, 0x20, ...new Uint8Array(32)]);
+    assert.throws(() => fromMultihash(sha256), /Not a BLAKE3 multihash/);
+    assert.throws(() => fromMultihash(toMultihash(digest).subarray(0, 20)), /declares a 32-byte digest/);
+    assert.throws(() => fromMultihash(new Uint8Array([0x9e])), /Truncated/);
+    assert.throws(() => parseCid('z' + toCid(digest).slice(1)), /base32/);
+    assert.throws(() => parseCid('b' + toBase32(new Uint8Array([0, 0x55, ...toMultihash(digest)]))), /version 0/);
+    assert.throws(() => toCid(digest, { codec: -1 }), RangeError);
+  });
+});
+
+describe('equals', () => {
+  test('compares contents and lengths', () => {
+    const a = hash(ascii('a'));
+    assert.equal(equals(a, a.slice()), true);
+    for (const i of [0, 15, 31]) {
+      const b = a.slice();
+      b[i] ^= 0x80;
+      assert.equal(equals(a, b), false);
+    }
+    assert.equal(equals(a, a.subarray(0, 31)), false);
+    assert.equal(equals(new Uint8Array(0), new Uint8Array(0)), true);
+    assert.throws(() => equals(a, toHex(a)), TypeError);
+  });
+});
@@ -0,0 +1,206 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Blake3Rng, Hasher, deriveKey, finalizeRoot, hash, hashSubtree, keyedHash, mergeCvs, setBackend,
+} from '../src/index.js';
+import { genInput, hex, testKey, vectors } from './helpers.js';
+import { ReferenceHasher, referenceDeriveKey, referenceHash, referenceKeyedHash } from './reference.js';
+
+// Differential tests of the optimized implementation against test/reference.js.
+// `npm test` uses a fixed seed, so every run checks the same cases. Set
+// BLAKE3_FUZZ_SEED to another seed, or to `random` for a time-based one, and
+// BLAKE3_FUZZ_RUNS for the number of cases (default 150) to explore further.
+// The seed is printed and a failure message names the seed and case, so
+//   BLAKE3_FUZZ_SEED=<seed> node --test test/fuzz.test.js
+// replays it exactly.
+
+const DEFAULT_SEED = 'blake3-ultra-fuzz';
+const seedOption = process.env.BLAKE3_FUZZ_SEED || DEFAULT_SEED;
+const seed = seedOption === 'random' ? String(Date.now()) : seedOption;
+const runs = Number(process.env.BLAKE3_FUZZ_RUNS || 150);
+
+const backends = ['js'];
+try {
+  setBackend('wasm');
+  backends.push('wasm');
+} catch (e) {
+  // JS only.
+}
+setBackend('auto');
+
+// Lengths cluster around the block, chunk and batch boundaries where bugs
+// live, with some spread up to a few dozen chunks.
+function randomLength(rng) {
+  switch (rng.nextInt(0, 4)) {
+    case 0: return rng.nextInt(0, 130);
+    case 1: return 1024 * rng.nextInt(1, 5) + rng.nextInt(-65, 66);
+    case 2: return rng.nextInt(0, 9000);
+    default: return rng.nextInt(0, 70000);
+  }
+}
+
+// `bytes` copied into a fresh buffer at `offset`, so offsets that are not a
+// multiple of 4 take the byte-wise readWordsLE path instead of zero-copy.
+function atOffset(bytes, offset) {
+  const view = new Uint8Array(bytes.length + offset).subarray(offset);
+  view.set(bytes);
+  return view;
+}
+
+function randomCase(i) {
+  const rng = new Blake3Rng(`${seed}:${i}`);
+  const length = randomLength(rng);
+  const c = {
+    length,
+    offset: rng.nextInt(0, 8),
+    mode: ['hash', 'keyed', 'derive'][rng.nextInt(0, 3)],
+    outLength: rng.nextInt(0, 4) === 0 ? rng.nextInt(0, 300) : 32,
+    backend: backends[rng.nextInt(0, backends.length)],
+    key: rng.nextBytes(32),
+    context: `fuzz context ${rng.nextUint32()}`,
+    splits: [],
+    seekTo: rng.nextInt(0, 200),
+  };
+  c.input = atOffset(rng.nextBytes(length), c.offset);
+  const maxSplit = [1, 64, 1024, 20000][rng.nextInt(0, 4)];
+  for (let total = 0; total < length;) {
+    const split = Math.min(rng.nextInt(1, maxSplit + 1), length - total);
+    c.splits.push(split);
+    total += split;
+  }
+  return c;
+}
+
+function expected(c, outLength) {
+  if (c.mode === 'keyed') return referenceKeyedHash(c.key, c.input, outLength);
+  if (c.mode === 'derive') return referenceDeriveKey(c.context, c.input, outLength);
+  return referenceHash(c.input, outLength);
+}
+
+function oneShot(c) {
+  if (c.mode === 'keyed') return keyedHash(c.key, c.input, { length: c.outLength });
+  if (c.mode === 'derive') return deriveKey(c.context, c.input, c.outLength);
+  return hash(c.input, { length: c.outLength });
+}
+
+function newHasher(c) {
+  if (c.mode === 'keyed') return Hasher.newKeyed(c.key);
+  if (c.mode === 'derive') return Hasher.newDeriveKey(c.context);
+  return new Hasher();
+}
+
+describe('reference model', () => {
+  test('matches the official test vectors', () => {
+    for (const v of vectors.cases) {
+      const input = genInput(v.input_len);
+      assert.equal(hex(referenceHash(input, 131)), v.hash, `len=${v.input_len}`);
+      assert.equal(hex(referenceKeyedHash(testKey, input, 131)), v.keyed_hash);
+      assert.equal(hex(referenceDeriveKey(vectors.context_string, input, 131)), v.derive_key);
+    }
+  });
+});
+
+const IV_WORDS = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+// Hasher.importState() input for a hasher partway through a message, in the
+// layout documented in src/hasher.js, from the same description that
+// ReferenceHasher.fromState() takes.
+function stateBytes({ chunkCounter, cvStack, cv, blocksCompressed, block }) {
+  const depth = cvStack.length;
+  const bodyLen = 81 + depth * 32 + block.length;
+  const out = new Uint8Array(bodyLen + 16);
+  const view = new DataView(out.buffer);
+  out.set([0x42, 0x33, 0x48, 0x53, 1, 0, blocksCompressed, block.length]);
+  view.setBigUint64(8, BigInt(chunkCounter), true);
+  out[16] = depth;
+  [...IV_WORDS, ...cv, ...cvStack.flat()].forEach((w, i) => view.setUint32(17 + 4 * i, w, true));
+  out.set(block, 81 + depth * 32);
+  out.set(hash(out.subarray(0, bodyLen), { length: 16 }), bodyLen);
+  return out;
+}
+
+function popcount(n) {
+  let count = 0;
+  for (; n > 0; n = Math.floor(n / 2)) count += n % 2;
+  return count;
+}
+
+describe('64-bit counters', () => {
+  test('Hasher agrees with the reference model past 2^32 chunks', () => {
+    const rng = new Blake3Rng('64-bit counters');
+    const words = (n) => Array.from({ length: n }, () => rng.nextUint32());
+    for (const chunkCounter of [2 ** 32 - 1, 2 ** 32, 3 * 2 ** 32 + 1, 2 ** 33 - 2, 2 ** 52 + 5]) {
+      const state = {
+        chunkCounter,
+        cvStack: Array.from({ length: popcount(chunkCounter) }, () => words(8)),
+        cv: words(8),
+        blocksCompressed: 15,
+        block: rng.nextBytes(64),
+      };
+      const input = rng.nextBytes(5000);
+      const want = hex(ReferenceHasher.fromState(state).update(input).finalize(100));
+      const hasher = Hasher.importState(stateBytes(state));
+      assert.equal(hex(hasher.update(input).finalize(100)), want, `chunkCounter=${chunkCounter}`);
+    }
+  });
+
+  test('hashSubtree() agrees with the reference model past 2^32 chunks', () => {
+    const rng = new Blake3Rng('64-bit subtrees');
+    const cvBytes = () => rng.nextBytes(32);
+    const toWords = (bytes) => Array.from(new Uint32Array(bytes.slice().buffer));
+    // Each counter is a multiple of 8 chunks, the span of the 5000-byte input.
+    for (const chunkCounter of [2 ** 32, 2 ** 32 + 8, 3 * 2 ** 32 + 2 ** 20, 2 ** 53 - 8]) {
+      const left = Array.from({ length: popcount(chunkCounter) }, cvBytes);
+      const input = rng.nextBytes(5000);
+      const want = hex(ReferenceHasher.fromState({
+        chunkCounter, cvStack: left.map(toWords), cv: IV_WORDS, blocksCompressed: 0, block: new Uint8Array(0),
+      }).update(input).finalize(100));
+
+      // Fold the right edge the way the reference finalizes: nearest subtree first.
+      let right = hashSubtree(input, chunkCounter);
+      for (let i = left.length - 1; i > 0; i--) right = mergeCvs(left[i], right);
+      assert.equal(hex(finalizeRoot(left[0], right, { length: 100 })), want, `chunkCounter=${chunkCounter}`);
+    }
+  });
+
+  test('OutputReader agrees with the reference model past 2^32 output blocks', () => {
+    for (const length of [0, 64, 1025, 5000]) {
+      const input = genInput(length);
+      const reader = new Hasher().update(input).finalizeXof();
+      for (const offset of [2 ** 38 - 10, 2 ** 38, 2 ** 45 + 3, Number.MAX_SAFE_INTEGER - 150]) {
+        const want = hex(new ReferenceHasher().update(input).finalize(150, offset));
+        assert.equal(hex(reader.seek(offset).read(150)), want, `len=${length} offset=${offset}`);
+      }
+      assert.throws(() => reader.read(1), RangeError);
+    }
+  });
+});
+
+describe('differential fuzzing', () => {
+  after(() => setBackend('auto'));
+
+  test(`agrees with the reference model (seed ${seed})`, (t) => {
+    t.diagnostic(`BLAKE3_FUZZ_SEED=${seed} BLAKE3_FUZZ_RUNS=${runs}`);
+    for (let i = 0; i < runs; i++) {
+      const c = randomCase(i);
+      const where = `seed=${seed} case=${i} mode=${c.mode} len=${c.length} offset=${c.offset} `
+        + `out=${c.outLength} backend=${c.backend} splits=${c.splits.length}`;
+      setBackend(c.backend);
+      const want = hex(expected(c, c.outLength));
+
+      assert.equal(hex(oneShot(c)), want, `one-shot: ${where}`);
+
+      const hasher = newHasher(c);
+      let pos = 0;
+      for (const split of c.splits) {
+        hasher.update(c.input.subarray(pos, pos + split));
+        pos += split;
+      }
+      assert.equal(hex(hasher.finalize(c.outLength)), want, `update splits: ${where}`);
+
+      const tail = hex(expected(c, c.seekTo + 70).subarray(c.seekTo));
+      assert.equal(hex(hasher.finalizeXof().seek(c.seekTo).read(70)), tail, `XOF seek ${c.seekTo}: ${where}`);
+    }
+  });
+});
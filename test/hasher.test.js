@@ -0,0 +1,200 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HashContext, Hasher, deriveKey, hash, hashInto, hashMany, keyedHash } from '../src/index.js';
+import { genInput, hex, shifted, testKey, vectors } from './helpers.js';
+
+describe('Hasher', () => {
+  test('matches hash() for every split size, aligned or not', () => {
+    for (const len of [0, 1, 64, 65, 1024, 1025, 2048, 8193, 31744]) {
+      const input = genInput(len);
+      const expected = hex(hash(input));
+      for (const step of [1, 7, 63, 64, 65, 1000, 1024, 4096]) {
+        for (const data of [input, shifted(input, 1)]) {
+          const hasher = new Hasher();
+          for (let i = 0; i < len; i += step) hasher.update(data.subarray(i, i + step));
+          assert.equal(hex(hasher.finalize()), expected, `len=${len} step=${step}`);
+        }
+      }
+    }
+  });
+
+  test('finalize() does not consume the state', () => {
+    const hasher = new Hasher().update(genInput(3000));
+    const first = hex(hasher.finalize());
+    assert.equal(hex(hasher.finalize()), first);
+    hasher.update(genInput(10));
+    assert.notEqual(hex(hasher.finalize()), first);
+  });
+
+  test('reset() starts over with the same key', () => {
+    const hasher = Hasher.newKeyed(testKey).update(genInput(5000));
+    hasher.reset().update(genInput(100));
+    assert.equal(hex(hasher.finalize()), hex(keyedHash(testKey, genInput(100))));
+  });
+});
+
+describe('OutputReader', () => {
+  test('reads and seeks anywhere in the extended output', () => {
+    for (const c of vectors.cases) {
+      const reader = new Hasher().update(genInput(c.input_len)).finalizeXof();
+      assert.equal(hex(reader.read(100)) + hex(reader.read(31)), c.hash);
+      for (const pos of [0, 1, 63, 64, 65, 100, 130]) {
+        assert.equal(hex(reader.seek(pos).read(131 - pos)), c.hash.slice(pos * 2));
+      }
+    }
+  });
+
+  test('rejects invalid lengths and positions', () => {
+    const reader = new Hasher().finalizeXof();
+    assert.throws(() => reader.seek(-1), RangeError);
+    assert.throws(() => reader.seek(1.5), RangeError);
+    assert.throws(() => reader.read(-1), RangeError);
+    assert.throws(() => hash(genInput(1), { length: 2.5 }), RangeError);
+  });
+});
+
+describe('key validation', () => {
+  test('rejects keys that are not exactly 32 bytes', () => {
+    assert.throws(() => keyedHash(new Uint8Array(31), genInput(1)), RangeError);
+    assert.throws(() => keyedHash(new Uint8Array(33), genInput(1)), RangeError);
+    assert.throws(() => keyedHash('x'.repeat(32), genInput(1)), TypeError);
+    assert.throws(() => Hasher.newKeyed(new Uint8Array(16)), RangeError);
+  });
+});
+
+describe('exportState()/importState()', () => {
+  const ctx = vectors.context_string;
+  const makers = [
+    ['hash', () => new Hasher()],
+    ['keyed', () => Hasher.newKeyed(testKey)],
+    ['derive_key', () => Hasher.newDeriveKey(ctx)],
+  ];
+
+  test('a restored hasher finishes with the same digest', () => {
+    const input = genInput(31744);
+    for (const [mode, make] of makers) {
+      const expected = hex(make().update(input).finalize(131));
+      for (const cut of [0, 1, 63, 64, 65, 1024, 1025, 2048, 3000, 31743]) {
+        const state = make().update(input.subarray(0, cut)).exportState();
+        const resumed = Hasher.importState(state).update(input.subarray(cut));
+        assert.equal(hex(resumed.finalize(131)), expected, `${mode} cut=${cut}`);
+      }
+    }
+  });
+
+  test('is compact and round-trips byte for byte', () => {
+    const hasher = new Hasher().update(genInput(7 * 1024 + 10));
+    const state = hasher.exportState();
+    // 81 fixed + 3 stack CVs (7 chunks) + 10 buffered + 16 checksum
+    assert.equal(state.length, 81 + 3 * 32 + 10 + 16);
+    assert.equal(hex(Hasher.importState(state).exportState()), hex(state));
+    assert.equal(hex(Hasher.importState(shifted(state, 3)).finalize()), hex(hasher.finalize()));
+  });
+
+  test('rejects truncated, extended or modified state', () => {
+    const state = Hasher.newKeyed(testKey).update(genInput(5000)).exportState();
+    assert.throws(() => Hasher.importState(state.subarray(0, 20)), /too short/);
+    assert.throws(() => Hasher.importState(state.subarray(0, state.length - 1)), /expected \d+ bytes/);
+    const longer = new Uint8Array(state.length + 1);
+    longer.set(state);
+    assert.throws(() => Hasher.importState(longer), /expected \d+ bytes/);
+
+    for (let i = 0; i < state.length; i++) {
+      const bad = state.slice();
+      bad[i] ^= 0x10;
+      assert.throws(() => Hasher.importState(bad), /Invalid hasher state/, `byte ${i}`);
+    }
+    assert.throws(() => Hasher.importState([...state]), TypeError);
+  });
+
+  test('names the problem', () => {
+    const state = new Hasher().update(genInput(100)).exportState();
+    const bad = state.slice();
+    bad[4] = 2;
+    assert.throws(() => Hasher.importState(bad), /unsupported version 2/);
+    bad.set([0, 0, 0, 0], 0);
+    assert.throws(() => Hasher.importState(bad), /bad magic/);
+  });
+
+  test('checks consistency even when the checksum is valid', () => {
+    const reseal = (state) => {
+      state.set(hash(state.subarray(0, state.length - 16), { length: 16 }), state.length - 16);
+      return state;
+    };
+    const state = new Hasher().update(genInput(3 * 1024 + 5)).exportState();
+    let bad = state.slice();
+    bad[8] = 4; // chunk counter 3 -> 4 with two stack entries
+    assert.throws(() => Hasher.importState(reseal(bad)), /stack depth/);
+    bad = state.slice();
+    bad[5] = 32;
+    assert.throws(() => Hasher.importState(reseal(bad)), /mode flags/);
+    bad = state.slice();
+    bad[17] ^= 1;
+    assert.throws(() => Hasher.importState(reseal(bad)), /non-default key/);
+  });
+});
+
+describe('hashInto()/hashMany()', () => {
+  test('write the same digests as hash() at any offset', () => {
+    const out = new Uint8Array(64 + 5);
+    for (const c of vectors.cases) {
+      const input = genInput(c.input_len);
+      out.fill(0xaa);
+      assert.equal(hashInto(input, out, 5), out);
+      assert.equal(hex(out.subarray(5, 37)), c.hash.slice(0, 64), `len=${c.input_len}`);
+      assert.equal(out[4], 0xaa);
+      assert.equal(out[37], 0xaa);
+      hashInto(shifted(input, 3), out, 37);
+      assert.equal(hex(out.subarray(37)), c.hash.slice(0, 64));
+    }
+  });
+
+  test('hashMany() fills one slot per input', () => {
+    const inputs = vectors.cases.map((c) => genInput(c.input_len));
+    inputs.push('abc', shifted(genInput(100), 1));
+    const out = new Uint8Array(inputs.length * 32 + 1);
+    assert.equal(hashMany(inputs, out), out);
+    inputs.forEach((input, i) => {
+      assert.equal(hex(out.subarray(i * 32, i * 32 + 32)), hex(hash(input)), `input ${i}`);
+    });
+    assert.equal(out[out.length - 1], 0);
+  });
+
+  test('validate the output buffer', () => {
+    assert.throws(() => hashInto(genInput(1), new Uint8Array(31)), RangeError);
+    assert.throws(() => hashInto(genInput(1), new Uint8Array(40), 9), RangeError);
+    assert.throws(() => hashInto(genInput(1), new Uint8Array(40), -1), RangeError);
+    assert.throws(() => hashInto(genInput(1), new Uint32Array(8)), TypeError);
+    assert.throws(() => hashMany([genInput(1), genInput(2)], new Uint8Array(63)), RangeError);
+    assert.throws(() => hashMany(genInput(2), new Uint8Array(64)), TypeError);
+  });
+});
+
+describe('HashContext', () => {
+  test('matches the module functions in every mode', () => {
+    const ctx = new HashContext();
+    for (const c of vectors.cases) {
+      const input = genInput(c.input_len);
+      assert.equal(hex(ctx.hash(input, { length: 131 })), c.hash, `len=${c.input_len}`);
+      assert.equal(hex(ctx.keyedHash(testKey, input, { length: 131 })), c.keyed_hash);
+      assert.equal(hex(ctx.deriveKey(vectors.context_string, input, 131)), c.derive_key);
+      assert.equal(hex(ctx.hashInto(input, new Uint8Array(32))), c.hash.slice(0, 64));
+    }
+    const inputs = ['abc', genInput(5000)];
+    assert.deepEqual(ctx.hashMany(inputs, new Uint8Array(64)), hashMany(inputs, new Uint8Array(64)));
+  });
+
+  test('contexts do not share scratch state', () => {
+    const contexts = [new HashContext(), new HashContext()];
+    const inputs = [genInput(64), genInput(1024), genInput(9000), genInput(70000)];
+    for (let round = 0; round < 3; round++) {
+      inputs.forEach((input, i) => {
+        const ctx = contexts[(i + round) % 2];
+        assert.equal(hex(ctx.hash(input)), hex(hash(input)));
+        assert.equal(hex(keyedHash(testKey, input)), hex(ctx.keyedHash(testKey, input)));
+        assert.equal(hex(ctx.deriveKey('ctx', input)), hex(deriveKey('ctx', input)));
+      });
+    }
+  });
+});
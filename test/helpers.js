@@ -0,0 +1,35 @@
+import { readFileSync } from 'node:fs';
+
+import { Blake3Rng } from '../src/index.js';
+
+// Shared fixtures for the *.test.js files (not a test file itself).
+
+export const vectors = JSON.parse(
+  readFileSync(new URL('./test_vectors.json', import.meta.url), 'utf8'));
+
+export const testKey = new TextEncoder().encode(vectors.key);
+
+// The official input pattern: 0, 1, ..., 250, 0, 1, ...
+export function genInput(n) {
+  const a = new Uint8Array(n);
+  for (let i = 0; i < n; i++) a[i] = i % 251;
+  return a;
+}
+
+// `n` replayable random bytes for property tests; the same seed always gives
+// the same bytes.
+export function randomInput(n, seed = 0) {
+  return new Blake3Rng(seed).nextBytes(n);
+}
+
+// Copy of `bytes` starting `shift` bytes into a fresh buffer, so the view's
+// byteOffset is misaligned for shift 1..3.
+export function shifted(bytes, shift) {
+  const view = new Uint8Array(bytes.length + shift).subarray(shift);
+  view.set(bytes);
+  return view;
+}
+
+export function hex(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('hex');
+}
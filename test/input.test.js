@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Hasher, baoEncode, deriveKey, hash, hashBlob, hashParallel, hashSubtree, keyedHash,
+  terminateWorkers,
+} from '../src/index.js';
+import { genInput, hex, testKey } from './helpers.js';
+
+const bytes = genInput(3001);
+const expected = hex(hash(bytes));
+
+// The same 3001 bytes behind every kind of view, all at odd offsets.
+function views() {
+  const backing = new ArrayBuffer(3001 + 8);
+  new Uint8Array(backing, 8).set(bytes);
+  const exact = backing.slice(8);
+  const shared = new SharedArrayBuffer(3001);
+  new Uint8Array(shared).set(bytes);
+  return {
+    ArrayBuffer: exact,
+    SharedArrayBuffer: shared,
+    DataView: new DataView(backing, 8),
+    Uint8ClampedArray: new Uint8ClampedArray(backing, 8),
+    Int8Array: new Int8Array(backing, 8),
+    Buffer: Buffer.from(backing, 8),
+  };
+}
+
+describe('input normalization', () => {
+  test('ArrayBuffer, SharedArrayBuffer, DataView, TypedArrays and Buffer', () => {
+    for (const [name, view] of Object.entries(views())) {
+      assert.equal(hex(hash(view)), expected, name);
+      assert.equal(hex(new Hasher().update(view).finalize()), expected, name);
+      assert.equal(hex(keyedHash(testKey, view)), hex(keyedHash(testKey, bytes)), name);
+      assert.equal(hex(deriveKey('ctx', view)), hex(deriveKey('ctx', bytes)), name);
+    }
+  });
+
+  test('wider element types hash their underlying bytes', () => {
+    const words = new Uint32Array([0x03020100, 0x07060504]);
+    assert.equal(hex(hash(words)), hex(hash(genInput(8))));
+    assert.equal(hex(hash(new Float64Array(4))), hex(hash(new Uint8Array(32))));
+  });
+
+  test('strings are UTF-8', () => {
+    const text = 'naïve café ☕ 𝄞';
+    const utf8 = new TextEncoder().encode(text);
+    assert.equal(hex(hash(text)), hex(hash(utf8)));
+    assert.equal(hex(new Hasher().update('naïve ').update('café ☕ 𝄞').finalize()), hex(hash(utf8)));
+    assert.equal(hex(hash('')), hex(hash(new Uint8Array(0))));
+  });
+
+  test('other entry points accept the same types', async () => {
+    const { encoded } = baoEncode(views().DataView);
+    assert.equal(hex(encoded), hex(baoEncode(bytes).encoded));
+    assert.equal(hex(hashSubtree(views().ArrayBuffer.slice(0, 1024), 3)), hex(hashSubtree(bytes.subarray(0, 1024), 3)));
+    assert.equal(hex(await hashParallel(views().Int8Array, { workers: 2, minParallelBytes: 0 })), expected);
+    await terminateWorkers();
+  });
+
+  test('unsupported types raise a TypeError naming the accepted ones', () => {
+    for (const bad of [undefined, null, 42, {}, [1, 2, 3], { length: 3 }]) {
+      assert.throws(() => hash(bad), (err) => err instanceof TypeError &&
+        /string, ArrayBuffer, SharedArrayBuffer, TypedArray, DataView or Buffer/.test(err.message));
+    }
+    assert.throws(() => new Hasher().update(5), TypeError);
+    assert.throws(() => hash(new Blob(['x'])), /use hashBlob\(\)/);
+  });
+});
+
+describe('hashBlob', () => {
+  test('streams Blob and File contents', async () => {
+    const blob = new Blob([bytes.subarray(0, 1000), 'text', bytes.subarray(1000)]);
+    const flat = new Uint8Array(await blob.arrayBuffer());
+    assert.equal(hex(await hashBlob(blob)), hex(hash(flat)));
+    assert.equal(hex(await hashBlob(new Blob([]))), hex(hash('')));
+    if (typeof File === 'function') {
+      assert.equal(hex(await hashBlob(new File([bytes], 'a.bin'))), expected);
+    }
+    assert.equal(hex(await hashBlob(blob, { hasher: Hasher.newKeyed(testKey) })), hex(keyedHash(testKey, flat)));
+    await assert.rejects(hashBlob(bytes), TypeError);
+  });
+});
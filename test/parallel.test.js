@@ -0,0 +1,64 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hash, hashParallel, terminateWorkers } from '../src/index.js';
+import { defaultPoolForTesting } from '../src/parallel.js';
+import { genInput, hex } from './helpers.js';
+
+describe('hashParallel', () => {
+  after(() => terminateWorkers());
+
+  // minParallelBytes: 0 forces the worker path even for tiny inputs, which
+  // exercises 1-chunk subtrees and a partial last subtree.
+  test('matches hash() across sizes and worker counts', async () => {
+    for (const len of [0, 1, 1024, 1025, 5000, 8192, 31744, 1024 * 1024 + 1]) {
+      const input = genInput(len);
+      for (const workers of [2, 3]) {
+        assert.equal(hex(await hashParallel(input, { workers, minParallelBytes: 0 })),
+                     hex(hash(input)), `len=${len} workers=${workers}`);
+      }
+    }
+  });
+
+  test('default options, XOF length and misaligned input', async () => {
+    const big = genInput(3 * 1024 * 1024 + 17);
+    assert.equal(hex(await hashParallel(big)), hex(hash(big)));
+    assert.equal(hex(await hashParallel(big, { workers: 4, length: 131 })),
+                 hex(hash(big, { length: 131 })));
+    assert.equal(hex(await hashParallel(big.subarray(3), { workers: 2 })), hex(hash(big.subarray(3))));
+  });
+
+  test('SharedArrayBuffer input', async () => {
+    const big = genInput(3 * 1024 * 1024 + 17);
+    const shared = new Uint8Array(new SharedArrayBuffer(big.length + 8), 8, big.length);
+    shared.set(big);
+    assert.equal(hex(await hashParallel(shared, { workers: 3 })), hex(hash(big)));
+  });
+
+  test('a worker that crashes or exits does not hang later calls', async () => {
+    const input = genInput(100 * 1024);
+    const options = { workers: 2, minParallelBytes: 0 };
+    assert.equal(hex(await hashParallel(input, options)), hex(hash(input)));
+    const pool = defaultPoolForTesting();
+
+    // A null task throws outside the worker's error handling: an uncaught
+    // exception, which ends the worker.
+    const crashed = pool.workers[0];
+    const crashing = hashParallel(input, options);
+    crashed.post(null);
+    await assert.rejects(crashing);
+    assert.ok(!pool.workers.includes(crashed));
+    assert.equal(hex(await hashParallel(input, options)), hex(hash(input)));
+
+    // A worker that exits with tasks outstanding fails them.
+    const pending = hashParallel(input, options);
+    await pool.workers[1].terminate();
+    await assert.rejects(pending, /exited with code/);
+    assert.equal(hex(await hashParallel(input, options)), hex(hash(input)));
+    assert.equal(pool.workers.length, pool.size);
+  });
+
+  test('rejects invalid worker counts', async () => {
+    await assert.rejects(hashParallel(genInput(10), { workers: 0 }), RangeError);
+  });
+});
@@ -0,0 +1,244 @@
+// A deliberately plain BLAKE3, written from the specification for the fuzz
+// tests to compare against (not a test file itself). It follows the official
+// reference implementation: the compression function loops over seven rounds
+// and permutes the message words between them, and the tree is built with a
+// stack of chaining values. Nothing here is optimized, unrolled or shared
+// with src/, so a mistake in one is unlikely to be repeated in the other.
+
+const OUT_LEN = 32;
+const KEY_LEN = 32;
+const BLOCK_LEN = 64;
+const CHUNK_LEN = 1024;
+
+const CHUNK_START = 1 << 0;
+const CHUNK_END = 1 << 1;
+const PARENT = 1 << 2;
+const ROOT = 1 << 3;
+const KEYED_HASH = 1 << 4;
+const DERIVE_KEY_CONTEXT = 1 << 5;
+const DERIVE_KEY_MATERIAL = 1 << 6;
+
+const IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+  0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+const MSG_PERMUTATION = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+
+function rotr(x, n) {
+  return ((x >>> n) | (x << (32 - n))) >>> 0;
+}
+
+function add(a, b) {
+  return (a + b) >>> 0;
+}
+
+// The mixing function G on state words a, b, c, d with message words x, y.
+function g(state, a, b, c, d, x, y) {
+  state[a] = add(add(state[a], state[b]), x);
+  state[d] = rotr(state[d] ^ state[a], 16);
+  state[c] = add(state[c], state[d]);
+  state[b] = rotr(state[b] ^ state[c], 12);
+  state[a] = add(add(state[a], state[b]), y);
+  state[d] = rotr(state[d] ^ state[a], 8);
+  state[c] = add(state[c], state[d]);
+  state[b] = rotr(state[b] ^ state[c], 7);
+}
+
+function round(state, m) {
+  // Columns.
+  g(state, 0, 4, 8, 12, m[0], m[1]);
+  g(state, 1, 5, 9, 13, m[2], m[3]);
+  g(state, 2, 6, 10, 14, m[4], m[5]);
+  g(state, 3, 7, 11, 15, m[6], m[7]);
+  // Diagonals.
+  g(state, 0, 5, 10, 15, m[8], m[9]);
+  g(state, 1, 6, 11, 12, m[10], m[11]);
+  g(state, 2, 7, 8, 13, m[12], m[13]);
+  g(state, 3, 4, 9, 14, m[14], m[15]);
+}
+
+function permute(m) {
+  return MSG_PERMUTATION.map((i) => m[i]);
+}
+
+// Returns all 16 output words; the first 8 are the new chaining value.
+function compress(cv, blockWords, counter, blockLen, flags) {
+  const state = [
+    ...cv,
+    IV[0], IV[1], IV[2], IV[3],
+    counter % 2 ** 32, Math.floor(counter / 2 ** 32), blockLen, flags,
+  ];
+  let m = blockWords;
+  for (let r = 0; r < 7; r++) {
+    round(state, m);
+    if (r < 6) m = permute(m);
+  }
+  for (let i = 0; i < 8; i++) {
+    state[i] = (state[i] ^ state[i + 8]) >>> 0;
+    state[i + 8] = (state[i + 8] ^ cv[i]) >>> 0;
+  }
+  return state;
+}
+
+function wordsFromBytes(bytes) {
+  const words = [];
+  for (let i = 0; i < bytes.length; i += 4) {
+    words.push((bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16 | bytes[i + 3] << 24) >>> 0);
+  }
+  return words;
+}
+
+// A compression that has not been run yet: what the root node needs to
+// produce any amount of output, or a chaining value otherwise.
+class Output {
+  constructor(cv, blockWords, counter, blockLen, flags) {
+    Object.assign(this, { cv, blockWords, counter, blockLen, flags });
+  }
+
+  chainingValue() {
+    return compress(this.cv, this.blockWords, this.counter, this.blockLen, this.flags).slice(0, 8);
+  }
+
+  // `length` bytes of output starting `offset` bytes in.
+  rootBytes(length, offset = 0) {
+    const out = new Uint8Array(length);
+    for (let pos = offset; pos < offset + length;) {
+      const block = Math.floor(pos / BLOCK_LEN);
+      const words = compress(this.cv, this.blockWords, block, this.blockLen, this.flags | ROOT);
+      for (let i = pos - block * BLOCK_LEN; i < BLOCK_LEN && pos < offset + length; i++, pos++) {
+        out[pos - offset] = words[i >> 2] >>> (8 * (i & 3));
+      }
+    }
+    return out;
+  }
+}
+
+class ChunkState {
+  constructor(key, chunkCounter, flags) {
+    this.cv = key;
+    this.chunkCounter = chunkCounter;
+    this.block = new Uint8Array(BLOCK_LEN);
+    this.blockLen = 0;
+    this.blocksCompressed = 0;
+    this.flags = flags;
+  }
+
+  len() {
+    return BLOCK_LEN * this.blocksCompressed + this.blockLen;
+  }
+
+  startFlag() {
+    return this.blocksCompressed === 0 ? CHUNK_START : 0;
+  }
+
+  update(input) {
+    let pos = 0;
+    while (pos < input.length) {
+      // A full block is only compressed once more input arrives, because the
+      // last block of the chunk needs CHUNK_END.
+      if (this.blockLen === BLOCK_LEN) {
+        this.cv = compress(this.cv, wordsFromBytes(this.block), this.chunkCounter,
+          BLOCK_LEN, this.flags | this.startFlag()).slice(0, 8);
+        this.blocksCompressed++;
+        this.block = new Uint8Array(BLOCK_LEN);
+        this.blockLen = 0;
+      }
+      const take = Math.min(BLOCK_LEN - this.blockLen, input.length - pos);
+      this.block.set(input.subarray(pos, pos + take), this.blockLen);
+      this.blockLen += take;
+      pos += take;
+    }
+  }
+
+  output() {
+    return new Output(this.cv, wordsFromBytes(this.block), this.chunkCounter,
+      this.blockLen, this.flags | this.startFlag() | CHUNK_END);
+  }
+}
+
+function parentOutput(left, right, key, flags) {
+  return new Output(key, [...left, ...right], 0, BLOCK_LEN, PARENT | flags);
+}
+
+export class ReferenceHasher {
+  constructor(key = IV, flags = 0) {
+    this.key = key;
+    this.flags = flags;
+    this.chunk = new ChunkState(key, 0, flags);
+    this.cvStack = [];
+  }
+
+  static keyed(key) {
+    if (key.length !== KEY_LEN) throw new RangeError('key must be 32 bytes');
+    return new ReferenceHasher(wordsFromBytes(key), KEYED_HASH);
+  }
+
+  // A hasher partway through a message: `chunkCounter` chunks done, their
+  // complete subtrees' CVs on `cvStack`, and the current chunk at `cv` after
+  // `blocksCompressed` blocks with `block` buffered. This reaches counters far
+  // too large to get to by hashing.
+  static fromState({ key = IV, flags = 0, chunkCounter, cvStack, cv, blocksCompressed, block }) {
+    const hasher = new ReferenceHasher(key, flags);
+    hasher.cvStack = cvStack.map((entry) => [...entry]);
+    hasher.chunk = new ChunkState(key, chunkCounter, flags);
+    hasher.chunk.cv = [...cv];
+    hasher.chunk.blocksCompressed = blocksCompressed;
+    hasher.chunk.block.set(block);
+    hasher.chunk.blockLen = block.length;
+    return hasher;
+  }
+
+  static deriveKey(context) {
+    const contextHasher = new ReferenceHasher(IV, DERIVE_KEY_CONTEXT);
+    contextHasher.update(new TextEncoder().encode(context));
+    const contextKey = wordsFromBytes(contextHasher.finalize(KEY_LEN));
+    return new ReferenceHasher(contextKey, DERIVE_KEY_MATERIAL);
+  }
+
+  // After a chunk completes, merge as many subtrees as the number of trailing
+  // zero bits in the total chunk count says are complete.
+  addChunkCv(cv, totalChunks) {
+    while ((totalChunks & 1) === 0) {
+      cv = parentOutput(this.cvStack.pop(), cv, this.key, this.flags).chainingValue();
+      totalChunks /= 2;
+    }
+    this.cvStack.push(cv);
+  }
+
+  update(input) {
+    let pos = 0;
+    while (pos < input.length) {
+      if (this.chunk.len() === CHUNK_LEN) {
+        const cv = this.chunk.output().chainingValue();
+        const totalChunks = this.chunk.chunkCounter + 1;
+        this.addChunkCv(cv, totalChunks);
+        this.chunk = new ChunkState(this.key, totalChunks, this.flags);
+      }
+      const take = Math.min(CHUNK_LEN - this.chunk.len(), input.length - pos);
+      this.chunk.update(input.subarray(pos, pos + take));
+      pos += take;
+    }
+    return this;
+  }
+
+  finalize(length = OUT_LEN, offset = 0) {
+    let output = this.chunk.output();
+    for (let i = this.cvStack.length - 1; i >= 0; i--) {
+      output = parentOutput(this.cvStack[i], output.chainingValue(), this.key, this.flags);
+    }
+    return output.rootBytes(length, offset);
+  }
+}
+
+export function referenceHash(input, length) {
+  return new ReferenceHasher().update(input).finalize(length);
+}
+
+export function referenceKeyedHash(key, input, length) {
+  return ReferenceHasher.keyed(key).update(input).finalize(length);
+}
+
+export function referenceDeriveKey(context, keyMaterial, length) {
+  return ReferenceHasher.deriveKey(context).update(keyMaterial).finalize(length);
+}
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Blake3Rng, Hasher, deriveKey } from '../src/index.js';
+import { hex } from './helpers.js';
+
+describe('Blake3Rng', () => {
+  test('is the keyed XOF of the empty message under the derived seed key', () => {
+    const seed = new Uint8Array(8);
+    seed[0] = 42;
+    const key = deriveKey('blake3-ultra 2026-10 Blake3Rng seed', seed);
+    const expected = Hasher.newKeyed(key).finalizeXof().read(3000);
+    assert.equal(hex(new Blake3Rng(42).nextBytes(3000)), hex(expected));
+    assert.equal(hex(new Blake3Rng(seed).nextBytes(3000)), hex(expected));
+    assert.notEqual(hex(new Blake3Rng(43).nextBytes(32)), hex(expected.subarray(0, 32)));
+    assert.notEqual(hex(new Blake3Rng('42').nextBytes(32)), hex(expected.subarray(0, 32)));
+    assert.equal(hex(new Blake3Rng(2 ** 40 + 1).nextBytes(8)), hex(new Blake3Rng(2 ** 40 + 1).nextBytes(8)));
+  });
+
+  test('gives one stream however it is consumed', () => {
+    const stream = new Blake3Rng('split').nextBytes(10000);
+    const rng = new Blake3Rng('split');
+    const parts = [];
+    for (const size of [1, 3, 1023, 2, 2048, 4, 1000, 3917]) parts.push(...rng.nextBytes(size));
+    assert.equal(hex(Uint8Array.from(parts)), hex(stream.subarray(0, parts.length)));
+    assert.equal(rng.position, 7998);
+
+    const words = new Blake3Rng('split');
+    words.nextBytes(3);
+    const view = new DataView(stream.buffer);
+    for (let i = 0; i < 600; i++) assert.equal(words.nextUint32(), view.getUint32(3 + 4 * i, true));
+  });
+
+  test('seek() jumps to any offset', () => {
+    const stream = new Blake3Rng(7).nextBytes(5000);
+    const rng = new Blake3Rng(7);
+    rng.nextBytes(100);
+    for (const offset of [4000, 0, 63, 64, 1025, 4996]) {
+      rng.seek(offset);
+      assert.equal(rng.position, offset);
+      assert.equal(hex(rng.nextBytes(4)), hex(stream.subarray(offset, offset + 4)), `offset ${offset}`);
+    }
+    assert.throws(() => rng.seek(-1), RangeError);
+    rng.seek(2 ** 38 + 1);
+    assert.equal(hex(rng.nextBytes(4)), hex(new Blake3Rng(7).seek(2 ** 38).nextBytes(5).subarray(1)));
+    rng.seek(Number.MAX_SAFE_INTEGER - 6);
+    rng.nextUint32();
+    assert.throws(() => rng.nextUint32(), RangeError);
+    assert.equal(rng.nextBytes(2).length, 2);
+  });
+
+  test('nextFloat() and nextInt() stay in range', () => {
+    const rng = new Blake3Rng(1);
+    for (let i = 0; i < 2000; i++) {
+      const f = rng.nextFloat();
+      assert.ok(f >= 0 && f < 1);
+      const n = rng.nextInt(-5, 5);
+      assert.ok(Number.isInteger(n) && n >= -5 && n < 5);
+      const big = rng.nextInt(0, 2 ** 53 - 1);
+      assert.ok(Number.isSafeInteger(big) && big >= 0);
+    }
+    assert.equal(rng.nextInt(9, 10), 9);
+    assert.throws(() => rng.nextInt(3, 3), RangeError);
+    assert.throws(() => rng.nextInt(0, 1.5), RangeError);
+    assert.throws(() => rng.nextInt(-(2 ** 53) + 1, 2 ** 53 - 1), RangeError);
+    assert.throws(() => new Blake3Rng(-1), RangeError);
+    assert.throws(() => new Blake3Rng(0.5), RangeError);
+  });
+
+  test('nextInt() is unbiased for a range that does not divide 2^32', () => {
+    // 3 * 2^30 values: a plain modulo would pick the lowest third twice as
+    // often as the rest.
+    const rng = new Blake3Rng('bias');
+    const span = 3 * 2 ** 30;
+    const counts = [0, 0, 0];
+    const draws = 30000;
+    for (let i = 0; i < draws; i++) counts[Math.floor(rng.nextInt(0, span) / 2 ** 30)]++;
+    for (const count of counts) assert.ok(Math.abs(count - draws / 3) < 600, `counts ${counts}`);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { IV } from '../src/compress.js';
+import { capabilities, getBackend, IS_LITTLE_ENDIAN, selfTest, setBackend } from '../src/index.js';
+
+describe('selfTest()', () => {
+  test('passes on every available backend and keeps the selection', () => {
+    const caps = capabilities();
+    setBackend('js');
+    const result = selfTest();
+    assert.equal(getBackend(), 'js');
+    setBackend('auto');
+
+    assert.deepEqual(result.failures, []);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.backends, caps.wasmSimd ? ['js', 'wasm'] : ['js']);
+    assert.equal(result.checks, result.backends.length * 3 * 7);
+  });
+
+  test('reports a tampered build, and the fail-closed entry point refuses to load', async () => {
+    IV[0] ^= 1;
+    try {
+      const result = selfTest();
+      assert.equal(result.ok, false);
+      assert.ok(result.failures.includes('js: hash of 1 bytes, one-shot'), result.failures.join('\n'));
+      assert.ok(result.failures.includes('js: hash of 102400 bytes, streamed'));
+      await assert.rejects(import('../src/fail-closed.js?tampered'), /self-test failed, refusing to hash/);
+    } finally {
+      IV[0] ^= 1;
+    }
+    const { hash, selfTest: exported } = await import('../src/fail-closed.js');
+    assert.equal(typeof hash, 'function');
+    assert.equal(exported, selfTest);
+  });
+
+  test('the fail-closed entry points are declared as side effects', () => {
+    const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    const entry = pkg.exports['./fail-closed'];
+    assert.deepEqual([...pkg.sideEffects].sort(), [entry.import.default, entry.require.default].sort());
+  });
+});
+
+describe('capabilities()', () => {
+  test('describes the engine', () => {
+    const caps = capabilities();
+    assert.equal(caps.littleEndian, IS_LITTLE_ENDIAN);
+    assert.equal(caps.zeroCopy, IS_LITTLE_ENDIAN);
+    assert.equal(caps.backend, getBackend());
+    assert.equal(caps.workers, true);
+    assert.equal(caps.sharedArrayBuffer, true);
+    assert.equal(caps.runtime, `node ${process.versions.node}`);
+    assert.equal(typeof caps.wasmSimd, 'boolean');
+  });
+});
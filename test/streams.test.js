@@ -0,0 +1,180 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import {
+  Hasher, HashTransformStream, HashWritableStream, hash, hashAsyncIterable, keyedHash,
+} from '../src/index.js';
+import { HashTransform, HashWritable } from '../src/node.js';
+import { genInput, hex, testKey } from './helpers.js';
+
+const input = genInput(100000);
+const expected = hex(hash(input));
+
+// Uneven pieces, some of them misaligned views.
+function* pieces() {
+  for (let i = 0, step = 1; i < input.length; i += step, step = step * 3 % 4099 + 1) {
+    yield input.subarray(i, i + step);
+  }
+}
+
+function readable() {
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of pieces()) controller.enqueue(piece);
+      controller.close();
+    },
+  });
+}
+
+async function collect(stream) {
+  const parts = [];
+  for await (const part of stream) parts.push(part);
+  return Buffer.concat(parts);
+}
+
+describe('Web Streams', () => {
+  test('HashTransformStream hashes and passes data through', async () => {
+    const hs = new HashTransformStream();
+    const output = await collect(readable().pipeThrough(hs));
+    assert.equal(hex(output), hex(input));
+    assert.equal(hex(await hs.digest), expected);
+  });
+
+  test('HashWritableStream with a keyed hasher and XOF length', async () => {
+    const hs = new HashWritableStream({ hasher: Hasher.newKeyed(testKey), length: 100 });
+    await readable().pipeTo(hs);
+    assert.equal(hex(await hs.digest), hex(keyedHash(testKey, input, { length: 100 })));
+  });
+
+  test('digest rejects when the stream is aborted', async () => {
+    const hs = new HashWritableStream();
+    const writer = hs.getWriter();
+    await writer.write(input.subarray(0, 10));
+    await writer.abort(new Error('gone'));
+    await assert.rejects(hs.digest, /gone/);
+  });
+
+  test('HashTransformStream writes complete while reads are outstanding', async () => {
+    const hs = new HashTransformStream();
+    const reader = hs.readable.getReader();
+    const writer = hs.writable.getWriter();
+    const first = reader.read();
+    const second = reader.read();
+    await writer.write(input.subarray(0, 10));
+    await writer.write(input.subarray(10, 20));
+    assert.deepEqual((await first).value, input.subarray(0, 10));
+    assert.deepEqual((await second).value, input.subarray(10, 20));
+    const third = reader.read();
+    await writer.write(input.subarray(20));
+    await writer.close();
+    assert.deepEqual((await third).value, input.subarray(20));
+    assert.equal((await reader.read()).done, true);
+    assert.equal(hex(await hs.digest), expected);
+  });
+
+  test('HashTransformStream digest rejects when the writable side is aborted', async () => {
+    const hs = new HashTransformStream();
+    const writer = hs.writable.getWriter();
+    const reader = hs.readable.getReader();
+    const written = writer.write(input.subarray(0, 10));
+    assert.deepEqual((await reader.read()).value, input.subarray(0, 10));
+    // As with a TransformStream, the write completes once the reader asks for more.
+    const next = reader.read();
+    await written;
+    await writer.abort(new Error('gone'));
+    await assert.rejects(hs.digest, /gone/);
+    await assert.rejects(next, /gone/);
+  });
+
+  test('HashTransformStream digest rejects when the readable side is cancelled', async () => {
+    const hs = new HashTransformStream();
+    const writer = hs.writable.getWriter();
+    await hs.readable.cancel(new Error('not interested'));
+    await assert.rejects(hs.digest, /not interested/);
+    await assert.rejects(writer.write(input), /not interested/);
+
+    // A pipe into it stops too, and so does a write waiting for the reader.
+    const piped = new HashTransformStream();
+    const reader = piped.readable.getReader();
+    const pipe = readable().pipeTo(piped.writable);
+    await reader.read();
+    await reader.cancel(new Error('stop'));
+    await assert.rejects(pipe, /stop/);
+    await assert.rejects(piped.digest, /stop/);
+  });
+
+  test('string chunks are UTF-8, other types error the stream', async () => {
+    const hs = new HashWritableStream();
+    const writer = hs.getWriter();
+    await writer.write('héllo');
+    await writer.close();
+    assert.equal(hex(await hs.digest), hex(hash(new TextEncoder().encode('héllo'))));
+
+    const bad = new HashWritableStream();
+    await assert.rejects(bad.getWriter().write(42), TypeError);
+    await assert.rejects(bad.digest, TypeError);
+
+    const badTransform = new HashTransformStream();
+    await assert.rejects(badTransform.writable.getWriter().write(42), TypeError);
+    await assert.rejects(badTransform.digest, TypeError);
+    await assert.rejects(badTransform.readable.getReader().read(), TypeError);
+  });
+});
+
+describe('hashAsyncIterable', () => {
+  test('async generators, Node Readables and ReadableStreams', async () => {
+    async function* gen() {
+      yield* pieces();
+    }
+    assert.equal(hex(await hashAsyncIterable(gen())), expected);
+    assert.equal(hex(await hashAsyncIterable(Readable.from(pieces()))), expected);
+    assert.equal(hex(await hashAsyncIterable(readable())), expected);
+    assert.equal(hex(await hashAsyncIterable([])), hex(hash(new Uint8Array(0))));
+  });
+
+  test('falls back to getReader() for non-iterable ReadableStreams', async () => {
+    const stream = readable();
+    const wrapper = { getReader: () => stream.getReader() };
+    assert.equal(hex(await hashAsyncIterable(wrapper)), expected);
+  });
+
+  test('validates options', async () => {
+    await assert.rejects(hashAsyncIterable([], { length: -1 }), RangeError);
+    await assert.rejects(hashAsyncIterable([], { hasher: {} }), TypeError);
+  });
+});
+
+describe('Node streams', () => {
+  test('HashTransform in a pipeline', async () => {
+    const hs = new HashTransform();
+    const parts = [];
+    await pipeline(Readable.from(pieces()), hs, async (source) => {
+      for await (const part of source) parts.push(part);
+    });
+    assert.equal(hex(Buffer.concat(parts)), hex(input));
+    assert.equal(hex(await hs.digest), expected);
+  });
+
+  test('HashWritable, including string writes', async () => {
+    const hs = new HashWritable({ length: 64 });
+    await pipeline(Readable.from(pieces()), hs);
+    assert.equal(hex(await hs.digest), hex(hash(input, { length: 64 })));
+
+    const text = new HashWritable();
+    text.end('hello');
+    assert.equal(hex(await text.digest), hex(hash(new TextEncoder().encode('hello'))));
+  });
+
+  test('digest rejects when the pipeline fails', async () => {
+    const hs = new HashWritable();
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('disk error'));
+      },
+    });
+    await assert.rejects(pipeline(failing, hs), /disk error/);
+    await assert.rejects(hs.digest, /disk error|destroyed/);
+  });
+});
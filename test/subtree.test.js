@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { finalizeRoot, hashSubtree, mergeCvs } from '../src/index.js';
+import { genInput, hex, testKey, vectors } from './helpers.js';
+
+// Rebuilds the whole tree from the public API, cutting subtrees of up to
+// `leafChunks` chunks and merging them like hash() does.
+function treeHash(input, leafChunks, options, length) {
+  const cvOf = (start, len) => {
+    if (len <= leafChunks * 1024) return hashSubtree(input.subarray(start, start + len), start / 1024, options);
+    const [left, right] = split(start, len);
+    return mergeCvs(cvOf(...left), cvOf(...right), options);
+  };
+  const [left, right] = split(0, input.length);
+  return finalizeRoot(cvOf(...left), cvOf(...right), { ...options, length });
+}
+
+function split(start, len) {
+  let left = 1024;
+  while (left * 2 < len) left *= 2;
+  return [[start, left], [start + left, len - left]];
+}
+
+const modes = [
+  ['hash', {}, 'hash'],
+  ['keyed', { key: testKey }, 'keyed_hash'],
+  ['derive_key', { context: vectors.context_string }, 'derive_key'],
+];
+
+describe('subtree API', () => {
+  test('reproduces every multi-chunk test vector in all modes', () => {
+    for (const c of vectors.cases.filter((v) => v.input_len > 1024)) {
+      const input = genInput(c.input_len);
+      for (const [name, options, field] of modes) {
+        for (const leafChunks of [1, 2, 8]) {
+          assert.equal(hex(treeHash(input, leafChunks, options, 131)), c[field], `${name} len=${c.input_len}`);
+        }
+        assert.equal(hex(treeHash(input, 4, options)), c[field].slice(0, 64));
+      }
+    }
+  });
+
+  test('a subtree CV does not depend on how it was split', () => {
+    const input = genInput(4096);
+    const whole = hashSubtree(input, 8);
+    const halves = mergeCvs(hashSubtree(input.subarray(0, 2048), 8), hashSubtree(input.subarray(2048), 10));
+    assert.equal(hex(halves), hex(whole));
+  });
+
+  test('rejects misplaced subtrees and bad arguments', () => {
+    assert.throws(() => hashSubtree(genInput(2048), 1), /multiple of 2 chunks/);
+    assert.throws(() => hashSubtree(genInput(3000), 2), /multiple of 4 chunks/);
+    assert.throws(() => hashSubtree(new Uint8Array(0), 0), RangeError);
+    assert.throws(() => hashSubtree(genInput(1), -1), RangeError);
+    assert.throws(() => hashSubtree(genInput(1), 2 ** 53), RangeError);
+    assert.throws(() => hashSubtree(genInput(1), 2 ** 32 + 0.5), RangeError);
+    assert.throws(() => hashSubtree(genInput(1), 0, { key: testKey, context: 'x' }), TypeError);
+    assert.throws(() => mergeCvs(new Uint8Array(32), new Uint8Array(31)), RangeError);
+    assert.throws(() => finalizeRoot('a', new Uint8Array(32)), TypeError);
+    assert.throws(() => finalizeRoot(new Uint8Array(32), new Uint8Array(32), { length: -1 }), RangeError);
+  });
+});
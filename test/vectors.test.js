@@ -0,0 +1,83 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Hasher, deriveKey, hash, keyedHash, setBackend } from '../src/index.js';
+import { forceBigEndianPathForTesting } from '../src/compress.js';
+import { genInput, hex, shifted, testKey, vectors } from './helpers.js';
+
+const OUT = 131;
+
+function checkCase(input, c) {
+  assert.equal(hex(hash(input, { length: OUT })), c.hash);
+  assert.equal(hex(hash(input)), c.hash.slice(0, 64));
+  assert.equal(hex(keyedHash(testKey, input, { length: OUT })), c.keyed_hash);
+  assert.equal(hex(keyedHash(testKey, input)), c.keyed_hash.slice(0, 64));
+  assert.equal(hex(deriveKey(vectors.context_string, input, OUT)), c.derive_key);
+  assert.equal(hex(deriveKey(vectors.context_string, input)), c.derive_key.slice(0, 64));
+}
+
+function checkHasherCase(input, c) {
+  assert.equal(hex(new Hasher().update(input).finalize(OUT)), c.hash);
+  assert.equal(hex(Hasher.newKeyed(testKey).update(input).finalize(OUT)), c.keyed_hash);
+  assert.equal(hex(Hasher.newDeriveKey(vectors.context_string).update(input).finalize(OUT)), c.derive_key);
+}
+
+describe('official test vectors', () => {
+  assert.equal(vectors.cases.length, 35);
+
+  for (const c of vectors.cases) {
+    test(`input_len=${c.input_len}`, () => {
+      const input = genInput(c.input_len);
+      checkCase(input, c);
+      checkHasherCase(input, c);
+    });
+  }
+});
+
+describe('misaligned byteOffset', () => {
+  for (const shift of [1, 2, 3]) {
+    test(`byteOffset % 4 = ${shift}`, () => {
+      for (const c of vectors.cases) {
+        const input = shifted(genInput(c.input_len), shift);
+        checkCase(input, c);
+        checkHasherCase(input, c);
+      }
+    });
+  }
+});
+
+describe('views over other buffers', () => {
+  test('Buffer subarrays', () => {
+    for (const c of vectors.cases) {
+      const pool = Buffer.alloc(c.input_len + 13);
+      pool.set(genInput(c.input_len), 5);
+      checkCase(pool.subarray(5, 5 + c.input_len), c);
+    }
+  });
+
+  test('Uint8Array over a DataView region', () => {
+    for (const c of vectors.cases) {
+      const dv = new DataView(new ArrayBuffer(c.input_len + 16), 8, c.input_len);
+      const view = new Uint8Array(dv.buffer, dv.byteOffset, dv.byteLength);
+      view.set(genInput(c.input_len));
+      checkCase(view, c);
+    }
+  });
+});
+
+describe('big-endian fallback path', () => {
+  after(() => {
+    forceBigEndianPathForTesting(false);
+    setBackend('auto');
+  });
+
+  test('all vectors with IS_LITTLE_ENDIAN forced to false', () => {
+    forceBigEndianPathForTesting(true);
+    setBackend('js');
+    for (const c of vectors.cases) {
+      const input = genInput(c.input_len);
+      checkCase(input, c);
+      checkHasherCase(input, c);
+    }
+  });
+});